@@ -0,0 +1,98 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+// Compare type selectors, which use the type index, with function selectors
+// that match the same nodes by visiting the whole tree.
+//
+//   npm run benchmark
+
+const { parse } = require('scss-parser/lib')
+
+const createQuery = require('../lib')
+
+const RULES = Number(process.env.RULES) || 2000
+const RUNS = Number(process.env.RUNS) || 20
+
+const scss = Array.from(
+  { length: RULES },
+  (_, i) => `.rule-${i} { color: $color-${i}; margin: ${i}px; }`
+).join('\n')
+
+const $ = createQuery(parse(scss), createQuery.adapters.scss)
+const isType = type => n => n.node.type === type
+
+/**
+ * Return the average duration of a function in milliseconds
+ *
+ * @param {function} fn
+ * @returns {number}
+ */
+const measure = fn => {
+  for (let i = 0; i < 5; i++) fn()
+  const start = process.hrtime()
+  for (let i = 0; i < RUNS; i++) fn()
+  const [seconds, nanoseconds] = process.hrtime(start)
+  return (seconds * 1e3 + nanoseconds / 1e6) / RUNS
+}
+
+const compare = (name, indexed, visited) => {
+  const a = measure(indexed)
+  const b = measure(visited)
+  console.log(
+    `${name.padEnd(32)} ${a.toFixed(2).padStart(9)}ms ${b.toFixed(2).padStart(9)}ms ${(b / a).toFixed(1).padStart(7)}x`
+  )
+}
+
+console.log(`${RULES} rules, ${$('*').length()} nodes, ${RUNS} runs\n`)
+console.log(`${''.padEnd(32)} ${'indexed'.padStart(11)} ${'visited'.padStart(11)} ${'speedup'.padStart(8)}`)
+
+compare(
+  "$('variable')",
+  () => $('variable'),
+  () => $(isType('variable'))
+)
+compare(
+  "$('rule').has('variable')",
+  () => $('rule').has('variable'),
+  () => $('rule').has(isType('variable'))
+)
+compare(
+  "$('block').find('number')",
+  () => $('block').find('number'),
+  () => $('block').find(isType('number'))
+)
+compare(
+  'value() then $(\'variable\')',
+  () => {
+    $('variable').first().value('color')
+    $('variable')
+  },
+  () => {
+    $(isType('variable')).first().value('color')
+    $(isType('variable'))
+  }
+)
+compare(
+  'remove() then $(\'variable\')',
+  () => {
+    $('space').last().remove()
+    $('variable')
+  },
+  () => {
+    $(isType('space')).last().remove()
+    $(isType('variable'))
+  }
+)
+compare(
+  'after() then $(\'variable\')',
+  () => {
+    $('variable').eq(RULES / 2).after({ type: 'space', value: ' ' })
+    $('variable')
+  },
+  () => {
+    $(isType('variable')).eq(RULES / 2).after({ type: 'space', value: ' ' })
+    $(isType('variable'))
+  }
+)
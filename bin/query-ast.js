@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const { run } = require('../lib/cli')
+
+process.exitCode = run(process.argv.slice(2))
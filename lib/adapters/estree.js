@@ -0,0 +1,191 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Keys that never contain child nodes
+ *
+ * @private
+ */
+const IGNORED_KEYS = [
+  'type',
+  'loc',
+  'range',
+  'start',
+  'end',
+  'extra',
+  'comments',
+  'tokens',
+  'leadingComments',
+  'trailingComments',
+  'innerComments'
+]
+
+/**
+ * Return true if the value looks like an ESTree node
+ *
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isNode = value => _.isObjectLike(value) && _.isString(value.type)
+
+/**
+ * Return the keys of a node that hold a child node or an array of child nodes
+ *
+ * @private
+ * @param {object} node
+ * @returns {string[]}
+ */
+const getChildKeys = node =>
+  Object.keys(node).filter(key => {
+    if (IGNORED_KEYS.includes(key)) return false
+    const value = node[key]
+    return Array.isArray(value)
+      ? value.every(n => n === null || isNode(n))
+      : isNode(value)
+  })
+
+/**
+ * Return the offset where a node starts in the source or undefined if the
+ * parser didn't record it
+ *
+ * @private
+ * @param {object} node
+ * @returns {number|undefined}
+ */
+const getStart = node => {
+  if (_.isNumber(node.start)) return node.start
+  if (Array.isArray(node.range)) return node.range[0]
+}
+
+/**
+ * Return the children of a node with the key that holds each child, in
+ * source order if the parser recorded where each child starts (the fields
+ * of a `TemplateLiteral` interleave) or else in the order of the keys
+ *
+ * @private
+ * @param {object} node
+ * @returns {Array<Array>} `[key, child]` pairs
+ */
+const getChildEntries = node => {
+  const entries = _.flatMap(getChildKeys(node), key =>
+    _.compact(_.castArray(node[key])).map(child => [key, child])
+  )
+  return entries.every(([, child]) => _.isNumber(getStart(child)))
+    ? _.sortBy(entries, ([, child]) => getStart(child))
+    : entries
+}
+
+/**
+ * Return the value of a literal from its raw source
+ *
+ * @private
+ * @param {string} raw
+ * @returns {any}
+ */
+const parseLiteral = raw => {
+  if (/^'.*'$/.test(raw)) return raw.slice(1, -1)
+  try {
+    return JSON.parse(raw)
+  } catch (e) {
+    return raw
+  }
+}
+
+/**
+ * Return a position with a line and a column
+ *
+ * @private
+ * @param {object} position
+ * @returns {QueryWrapper~Position}
+ */
+const toPosition = ({ line, column }) => ({ line, column })
+
+/**
+ * Options for ASTs that follow the ESTree spec (Acorn, Espree, Babel, ...)
+ * where children are spread across named fields such as `left`, `body`
+ * or `arguments`.
+ *
+ * Each {@link NodeWrapper} records the field it was found in so that
+ * `toJSON()` can put the children back where they belong. The value of
+ * identifiers is their name and the value of literals is their raw source.
+ * Children are in source order if the parser records where nodes start.
+ * Nodes have a location if the parser adds `loc` (`locations: true` for Acorn).
+ *
+ * @example
+ * const $ = createQueryWrapper(ast, createQueryWrapper.adapters.estree)
+ *
+ * @type {QueryWrapperOptions}
+ */
+module.exports = {
+  hasChildren: node => getChildKeys(node).length > 0,
+  getChildren: node => getChildEntries(node).map(([, child]) => child),
+  getChildFields: node => getChildEntries(node).map(([key]) => key),
+  getType: node => node.type,
+  getLocation: node =>
+    node.loc
+      ? { start: toPosition(node.loc.start), end: toPosition(node.loc.end) }
+      : null,
+  toJSON: (node, children, fields) => {
+    const json = Object.assign({}, node)
+    if (!children) return json
+    const keys = getChildKeys(node)
+    for (const key of keys) {
+      json[key] = Array.isArray(node[key]) ? [] : null
+    }
+    children.forEach((child, i) => {
+      const key = fields[i]
+      if (Array.isArray(json[key])) {
+        json[key].push(child)
+      } else {
+        json[key] = json[key] ? [json[key], child] : child
+      }
+    })
+    // Restore holes (e.g. `[, a] = b`) as long as the number of nodes
+    // in the array hasn't changed
+    for (const key of keys) {
+      const original = node[key]
+      if (!Array.isArray(original) || !original.includes(null)) continue
+      const items = json[key].slice()
+      if (items.length !== _.compact(original).length) continue
+      json[key] = original.map(n => (n === null ? null : items.shift()))
+    }
+    return json
+  },
+  toString: node => {
+    switch (node.type) {
+      case 'Identifier':
+      case 'JSXIdentifier':
+        return node.name
+      case 'JSXText':
+        return node.value
+      case 'TemplateElement':
+        return node.value.raw
+    }
+    if (_.isString(node.raw)) return node.raw
+    if (node.extra && _.isString(node.extra.raw)) return node.extra.raw
+    return ''
+  },
+  setValue: (node, value) => {
+    switch (node.type) {
+      case 'Identifier':
+      case 'JSXIdentifier':
+        return Object.assign({}, node, { name: value })
+      case 'JSXText':
+        return Object.assign({}, node, { value, raw: value })
+      case 'TemplateElement':
+        return Object.assign({}, node, { value: { raw: value, cooked: value } })
+    }
+    if (node.extra && _.isString(node.extra.raw)) {
+      return Object.assign({}, node, {
+        value: parseLiteral(value),
+        extra: Object.assign({}, node.extra, { raw: value })
+      })
+    }
+    return Object.assign({}, node, { value: parseLiteral(value), raw: value })
+  }
+}
@@ -0,0 +1,17 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+/**
+ * Options for common AST formats that can be passed to
+ * {@link createQueryWrapper}
+ *
+ * @namespace adapters
+ */
+module.exports = {
+  estree: require('./estree'),
+  postcss: require('./postcss'),
+  scss: require('./scss'),
+  unist: require('./unist')
+}
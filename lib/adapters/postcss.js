@@ -0,0 +1,72 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Return a shallow copy of a node that keeps its prototype
+ *
+ * @private
+ * @param {object} node
+ * @param {object} [props]
+ * @returns {object}
+ */
+const copy = (node, props) =>
+  Object.assign(Object.create(Object.getPrototypeOf(node)), node, props)
+
+/**
+ * Options for [PostCSS](https://postcss.org) ASTs where `Root`, `Rule` and
+ * `AtRule` nodes keep their children under `nodes`.
+ *
+ * Nodes are converted to JSON with PostCSS' own `toJSON()` (which drops the
+ * `parent` reference) so the result can be restored with `postcss.fromJSON()`.
+ * The string value of a `decl` is its value and the string value of a
+ * `comment` is its text.
+ *
+ * @example
+ * const $ = createQueryWrapper(postcss.parse(css), createQueryWrapper.adapters.postcss)
+ * $('rule > decl[prop="color"]')
+ *
+ * @type {QueryWrapperOptions}
+ */
+module.exports = {
+  hasChildren: node => Array.isArray(node.nodes),
+  getChildren: node => node.nodes,
+  getType: node => node.type,
+  getLocation: node => {
+    const { start, end } = node.source || {}
+    if (!start || !end) return null
+    // PostCSS columns start at 1 and the end is the last character
+    return {
+      start: { line: start.line, column: start.column - 1 },
+      end: { line: end.line, column: end.column }
+    }
+  },
+  toJSON: (node, children) => {
+    const json = _.isFunction(node.toJSON)
+      ? node.toJSON()
+      : _.omit(node, 'parent')
+    if (children) json.nodes = children
+    return json
+  },
+  toString: node => {
+    switch (node.type) {
+      case 'decl':
+        return node.value
+      case 'comment':
+        return node.text
+      default:
+        return ''
+    }
+  },
+  setAttribute: (node, key, value) => copy(node, { [key]: value }),
+  removeAttribute: (node, key) => {
+    const json = copy(node)
+    delete json[key]
+    return json
+  },
+  setValue: (node, value) =>
+    copy(node, node.type === 'comment' ? { text: value } : { value })
+}
@@ -0,0 +1,55 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Return a position with a line and a column
+ *
+ * @private
+ * @param {object} position
+ * @returns {QueryWrapper~Position}
+ */
+const toPosition = ({ line, column }) => ({ line, column })
+
+/**
+ * Return the position after a node. Some nodes (such as declarations)
+ * don't have a `next` position and end with their last child.
+ *
+ * @private
+ * @param {object} node
+ * @returns {object|null}
+ */
+const getEnd = node => {
+  if (node.next) return node.next
+  return Array.isArray(node.value) && node.value.length
+    ? getEnd(_.last(node.value))
+    : null
+}
+
+/**
+ * Options for ASTs created by
+ * [scss-parser](https://github.com/salesforce-ux/scss-parser).
+ *
+ * Nodes keep their `start` and `next` positions when converted back to JSON
+ * and use them as their location.
+ *
+ * @example
+ * const $ = createQueryWrapper(parse(scss), createQueryWrapper.adapters.scss)
+ *
+ * @type {QueryWrapperOptions}
+ */
+module.exports = {
+  hasChildren: node => Array.isArray(node.value),
+  getChildren: node => node.value,
+  getType: node => node.type,
+  getLocation: node => {
+    const end = node.start && getEnd(node)
+    return end ? { start: toPosition(node.start), end: toPosition(end) } : null
+  },
+  toJSON: (node, children) =>
+    Object.assign({}, node, { value: children || node.value }),
+  toString: node => (_.isString(node.value) ? node.value : '')
+}
@@ -0,0 +1,56 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Options for [unist](https://github.com/syntax-tree/unist) ASTs such as
+ * mdast (Markdown), hast (HTML) and xast (XML) where parents keep their
+ * children under `children` and text leaves keep their string under `value`.
+ *
+ * Nodes keep their `position` when converted back to JSON. Attributes
+ * fall back to hast `properties` so elements can be matched with
+ * `element[tagName=a][href^="https:"]` and updated with `attr('href', url)`.
+ *
+ * @example
+ * const $ = createQueryWrapper(mdast, createQueryWrapper.adapters.unist)
+ * $('heading[depth=1] text').value()
+ *
+ * @type {QueryWrapperOptions}
+ */
+module.exports = {
+  hasChildren: node => Array.isArray(node.children),
+  getChildren: node => node.children,
+  getType: node => node.type,
+  getLocation: node => {
+    const { start, end } = node.position || {}
+    if (!start || !end) return null
+    // unist columns start at 1
+    return {
+      start: { line: start.line, column: start.column - 1 },
+      end: { line: end.line, column: end.column - 1 }
+    }
+  },
+  getAttribute: (node, key) => {
+    if (!_.isUndefined(node[key])) return node[key]
+    return _.isPlainObject(node.properties) ? node.properties[key] : undefined
+  },
+  setAttribute: (node, key, value) => {
+    if (_.isUndefined(node[key]) && _.isPlainObject(node.properties)) {
+      const properties = Object.assign({}, node.properties, { [key]: value })
+      return Object.assign({}, node, { properties })
+    }
+    return Object.assign({}, node, { [key]: value })
+  },
+  removeAttribute: (node, key) => {
+    if (_.isUndefined(node[key]) && _.isPlainObject(node.properties)) {
+      return Object.assign({}, node, { properties: _.omit(node.properties, key) })
+    }
+    return _.omit(node, key)
+  },
+  toJSON: (node, children) =>
+    children ? Object.assign({}, node, { children }) : Object.assign({}, node),
+  toString: node => (_.isString(node.value) ? node.value : '')
+}
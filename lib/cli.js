@@ -0,0 +1,247 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+const invariant = require('invariant')
+
+const createQueryWrapper = require('./index')
+const { adapters } = createQueryWrapper
+
+const USAGE = `Usage:
+  query-ast [options] <selector> [file...]
+  query-ast --transform <script.js> [options] <file...>
+
+Reads JSON ASTs or .scss files (or JSON from stdin when no file is given)
+and prints the nodes that match a selector.
+
+Options:
+  -f, --format <format>     json (default), value or count
+  -a, --adapter <adapter>   ${Object.keys(adapters).join(', ')}
+                            (scss is used for .scss files by default)
+  -t, --transform <script>  run a transform against each file and write the result
+  -d, --dry-run             print the transformed files instead of writing them
+  -h, --help                show this message
+`
+
+const FORMATS = ['json', 'value', 'count']
+
+/**
+ * Parsers for file types that are not JSON
+ *
+ * @private
+ */
+const PARSERS = {
+  '.scss': {
+    adapter: 'scss',
+    module: 'scss-parser'
+  }
+}
+
+/**
+ * Parse the command line arguments
+ *
+ * @private
+ * @param {string[]} args
+ * @returns {object}
+ */
+const parseArgs = args => {
+  const flags = {
+    '-f': 'format',
+    '--format': 'format',
+    '-a': 'adapter',
+    '--adapter': 'adapter',
+    '-t': 'transform',
+    '--transform': 'transform'
+  }
+  const result = { format: 'json', dryRun: false, help: false, positional: [] }
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--') {
+      result.positional.push(...args.slice(i + 1))
+      break
+    }
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/) : [arg]
+    if (_.has(flags, flag)) {
+      const value = _.isUndefined(inline) ? args[++i] : inline
+      invariant(!_.isUndefined(value), `${flag} requires a value`)
+      result[flags[flag]] = value
+    } else if (arg === '-d' || arg === '--dry-run') {
+      result.dryRun = true
+    } else if (arg === '-h' || arg === '--help') {
+      result.help = true
+    } else {
+      invariant(!/^-./.test(arg), `Unknown option "${arg}"`)
+      result.positional.push(arg)
+    }
+  }
+  invariant(
+    FORMATS.includes(result.format),
+    `--format must be one of ${FORMATS.join(', ')}`
+  )
+  invariant(
+    _.isUndefined(result.adapter) || _.has(adapters, result.adapter),
+    `Unknown adapter "${result.adapter}"`
+  )
+  return result
+}
+
+/**
+ * Return the parser for a type of file
+ *
+ * @private
+ * @param {string} file
+ * @param {object} io
+ * @returns {object} `{ adapter, parse(source), stringify(ast) }`
+ */
+const getParser = (file, io) => {
+  const parser = PARSERS[path.extname(file)]
+  if (!parser) {
+    return {
+      parse: source => JSON.parse(source),
+      stringify: ast => JSON.stringify(ast, null, 2) + '\n'
+    }
+  }
+  let parse
+  try {
+    parse = io.load(parser.module)
+  } catch (e) {
+    invariant(false, `"${parser.module}" must be installed to read ${file}`)
+  }
+  return {
+    adapter: parser.adapter,
+    parse: source => parse.parse(source),
+    stringify: ast => parse.stringify(ast)
+  }
+}
+
+/**
+ * Read a file (or stdin) and wrap its AST
+ *
+ * @private
+ * @param {string|null} file
+ * @param {object} settings
+ * @param {object} io
+ * @returns {object} `{ $, stringify }`
+ */
+const read = (file, settings, io) => {
+  const parser = getParser(file || '', io)
+  const source = file ? io.readFile(file) : io.readStdin()
+  let ast
+  try {
+    ast = parser.parse(source)
+  } catch (e) {
+    invariant(false, `Could not parse ${file || 'stdin'}: ${e.message}`)
+  }
+  const adapter = settings.adapter || parser.adapter
+  return {
+    $: createQueryWrapper(ast, adapter ? adapters[adapter] : undefined),
+    stringify: parser.stringify
+  }
+}
+
+/**
+ * Print the nodes that match a selector in each input
+ *
+ * @private
+ * @param {object} settings
+ * @param {object} io
+ */
+const query = (settings, io) => {
+  const [selector, ...files] = settings.positional
+  invariant(selector, 'a selector is required')
+  const inputs = files.length ? files : [null]
+  const results = inputs.map(file => {
+    const { $ } = read(file, settings, io)
+    return { $, matches: $(selector) }
+  })
+  if (settings.format === 'json') {
+    const json = results.map(({ matches }) => matches.get())
+    const output = files.length > 1 ? _.zipObject(files, json) : json[0]
+    io.stdout.write(JSON.stringify(output, null, 2) + '\n')
+    return
+  }
+  results.forEach(({ $, matches }, i) => {
+    const prefix = files.length > 1 ? `${files[i]}:` : ''
+    const lines = settings.format === 'count'
+      ? [matches.length()]
+      : matches.map(n => $(n).value())
+    lines.forEach(line => io.stdout.write(`${prefix}${line}\n`))
+  })
+}
+
+/**
+ * Run a transform against each file. A transform module exports either
+ * a function that is called with `$` and `{ file }` and can return a new `$`,
+ * or an array of rules for `$.rewrite()`.
+ *
+ * @private
+ * @param {object} settings
+ * @param {object} io
+ */
+const transform = (settings, io) => {
+  const files = settings.positional
+  invariant(files.length, 'a file is required for --transform')
+  const script = io.load(path.resolve(io.cwd, settings.transform))
+  invariant(
+    _.isFunction(script) || Array.isArray(script),
+    'a transform must export a function or an array of rules'
+  )
+  for (const file of files) {
+    const { $, stringify } = read(file, settings, io)
+    const before = $().get(0)
+    let result = $
+    if (Array.isArray(script)) {
+      result = $.rewrite(script).$
+    } else {
+      const value = script($, { file })
+      if (_.isFunction(value)) result = value
+    }
+    const after = result().get(0)
+    if (settings.dryRun) {
+      io.stdout.write(stringify(after))
+    } else if (!_.isEqual(before, after)) {
+      // Files that didn't change keep their formatting
+      io.writeFile(file, stringify(after))
+      io.stdout.write(`${file}\n`)
+    }
+  }
+}
+
+/**
+ * Run the command line tool
+ *
+ * @param {string[]} args the arguments after the name of the command
+ * @param {object} [io] replaces the file system and process streams
+ * @returns {number} the exit code
+ */
+const run = (args, io) => {
+  io = _.defaults({}, io, {
+    cwd: process.cwd(),
+    readFile: file => fs.readFileSync(path.resolve(io.cwd, file), 'utf8'),
+    readStdin: () => fs.readFileSync(0, 'utf8'),
+    writeFile: (file, content) =>
+      fs.writeFileSync(path.resolve(io.cwd, file), content),
+    load: id => require(id),
+    stdout: process.stdout,
+    stderr: process.stderr
+  })
+  try {
+    const settings = parseArgs(args)
+    if (settings.help) {
+      io.stdout.write(USAGE)
+      return 0
+    }
+    if (settings.transform) transform(settings, io)
+    else query(settings, io)
+    return 0
+  } catch (e) {
+    io.stderr.write(`query-ast: ${e.message}\n`)
+    return 1
+  }
+}
+
+module.exports = { run }
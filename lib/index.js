@@ -6,6 +6,25 @@
 const _ = require('lodash')
 const invariant = require('invariant')
 
+const adapters = require('./adapters')
+const {
+  align,
+  applyOperation,
+  createDocument,
+  diffJSON,
+  formatPointer,
+  parseIndex,
+  parsePointer
+} = require('./patch')
+const selectors = require('./selector')
+
+/**
+ * The severities of lint diagnostics
+ *
+ * @private
+ */
+const SEVERITIES = ['error', 'warning', 'info']
+
 /**
  * Create a new {@link QueryWrapper}
  *
@@ -14,8 +33,11 @@ const invariant = require('invariant')
  * @param {QueryWrapperOptions} options
  * @returns {function}
  */
-module.exports = (ast, options) => {
-  invariant(_.isPlainObject(ast), '"ast" must be a plain object')
+const createQueryWrapper = (ast, options) => {
+  invariant(
+    _.isObjectLike(ast) && !Array.isArray(ast),
+    '"ast" must be an object'
+  )
 
   /**
    * @namespace QueryWrapperOptions
@@ -39,6 +61,17 @@ module.exports = (ast, options) => {
      * @returns {object[]}
      */
     getChildren: node => node.value,
+    /**
+     * Return an array with the name of the field each child returned by
+     * `getChildren()` came from, or null if the node keeps all of its
+     * children in a single field
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @returns {string[]|null}
+     */
+    getChildFields: node => null,
     /**
      * Return a string representation of the node's type
      *
@@ -48,6 +81,42 @@ module.exports = (ast, options) => {
      * @returns {string}
      */
     getType: node => node.type,
+    /**
+     * Return the value of a node attribute that will be used by attribute
+     * selectors such as `[value="a"]`
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @param {string} key
+     * @returns {any}
+     */
+    getAttribute: (node, key) => node[key],
+    /**
+     * Return a copy of the node with an attribute set to a value.
+     * The original node should not be modified.
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @param {string} key
+     * @param {any} value
+     * @returns {object}
+     */
+    setAttribute: (node, key, value) => {
+      return Object.assign({}, node, { [key]: value })
+    },
+    /**
+     * Return a copy of the node without an attribute.
+     * The original node should not be modified.
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @param {string} key
+     * @returns {object}
+     */
+    removeAttribute: (node, key) => _.omit(node, key),
     /**
      * Convert the node back to JSON. This usually just means merging the
      * children back into the node
@@ -56,6 +125,7 @@ module.exports = (ast, options) => {
      * @instance
      * @param {object} node
      * @param {object[]} [children]
+     * @param {string[]} [fields] the field of each child
      * @returns {string}
      */
     toJSON: (node, children) => {
@@ -73,21 +143,93 @@ module.exports = (ast, options) => {
      */
     toString: node => {
       return _.isString(node.value) ? node.value : ''
-    }
+    },
+    /**
+     * Return a copy of a node without children where the string returned
+     * by `toString()` is replaced with a new value.
+     * The original node should not be modified.
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @param {string} value
+     * @returns {object}
+     */
+    setValue: (node, value) => {
+      return Object.assign({}, node, { value })
+    },
+    /**
+     * Return where the node is in the source, or null if it's unknown.
+     * Lines start at 1 and columns start at 0. The end is the position
+     * after the last character of the node.
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @param {object} node
+     * @returns {QueryWrapper~Location|null}
+     */
+    getLocation: node => null,
+    /**
+     * Leave the AST untouched and return a new query function for a new AST
+     * from every method that modifies the tree. The new AST shares the
+     * nodes that didn't change with the previous AST.
+     *
+     * @memberof QueryWrapperOptions
+     * @instance
+     * @type {boolean}
+     */
+    immutable: false
   })
 
   for (const key of [
     'hasChildren',
     'getChildren',
+    'getChildFields',
     'getType',
+    'getAttribute',
+    'setAttribute',
+    'removeAttribute',
     'toJSON',
-    'toString'
+    'toString',
+    'setValue',
+    'getLocation'
   ]) {
     invariant(_.isFunction(options[key]), `options.${key} must be a function`)
   }
+  invariant(_.isBoolean(options.immutable), 'options.immutable must be a boolean')
 
   // Commonly used options
-  const { hasChildren, getChildren, getType, toJSON, toString } = options
+  const {
+    hasChildren,
+    getChildren,
+    getChildFields,
+    getType,
+    getAttribute,
+    setAttribute,
+    removeAttribute,
+    toJSON,
+    toString,
+    setValue,
+    getLocation
+  } = options
+
+  /**
+   * Convert a node that hasn't been wrapped to JSON
+   *
+   * @private
+   * @param {object} node
+   * @returns {object}
+   */
+  const nodeToJSON = node => {
+    if (!hasChildren(node)) return toJSON(node, null, null)
+    const children = getChildren(node)
+    const fields = getChildFields(node) || []
+    return toJSON(
+      node,
+      children.map(nodeToJSON),
+      children.map((n, i) => fields[i])
+    )
+  }
 
   /**
    * Wrap an AST node to get some basic helpers / parent reference
@@ -98,39 +240,97 @@ module.exports = (ast, options) => {
      *
      * @param {object} node
      * @param {NodeWrapper} [parent]
+     * @param {string} [field]
      */
-    constructor (node, parent) {
+    constructor (node, parent, field) {
       /**
        * @member {object}
        */
       this.node = node
       /**
+       * The parent of the node, which is updated when the node is moved
+       * and undefined for the root node or a detached node
+       *
        * @member {NodeWrapper}
        */
       this.parent = parent
       /**
+       * The field of the parent node this node was found in
+       *
+       * @member {string}
+       */
+      this.field = field
+      /**
+       * The wrapped children or undefined until they are first accessed
+       *
+       * @private
        * @member {NodeWrapper[]}
        */
-      this.children = this.hasChildren
-        ? getChildren(node).map(n => new NodeWrapper(n, this))
-        : null
-      Object.freeze(this)
+      this.$children = undefined
+      /**
+       * The type index the node was last added to and its position there
+       *
+       * @private
+       * @member {object}
+       */
+      this.$typeIndex = undefined
+      /**
+       * @private
+       * @member {number}
+       */
+      this.$position = undefined
+      Object.seal(this)
     }
 
     get hasChildren () {
       return hasChildren(this.node)
     }
 
+    /**
+     * The wrapped children of the node (or null if the node can't have
+     * children) which are created when they are first accessed
+     *
+     * @type {NodeWrapper[]}
+     */
+    get children () {
+      if (_.isUndefined(this.$children)) {
+        this.$children = this.hasChildren ? this.createChildren() : null
+      }
+      return this.$children
+    }
+
+    set children (children) {
+      this.$children = children
+    }
+
+    /**
+     * Wrap the children of the node
+     *
+     * @private
+     * @returns {NodeWrapper[]}
+     */
+    createChildren () {
+      const fields = getChildFields(this.node) || []
+      return getChildren(this.node).map(
+        (n, i) => new NodeWrapper(n, this, fields[i])
+      )
+    }
+
     /**
      * Return the JSON representation
      *
      * @returns {object}
      */
     toJSON () {
-      return toJSON(
-        this.node,
-        this.hasChildren ? this.children.map(n => n.toJSON()) : null
-      )
+      // Children that haven't been wrapped can't have been modified
+      if (_.isUndefined(this.$children)) return nodeToJSON(this.node)
+      return this.hasChildren
+        ? toJSON(
+          this.node,
+          this.children.map(n => n.toJSON()),
+          this.children.map(n => n.field)
+        )
+        : toJSON(this.node, null, null)
     }
 
     /**
@@ -154,11 +354,12 @@ module.exports = (ast, options) => {
      *
      * @param {object|NodeWrapper} node
      * @param {NodeWrapper} [parent]
+     * @param {string} [field]
      * @returns {NodeWrapper}
      */
-    static create (node, parent) {
+    static create (node, parent, field) {
       if (node instanceof NodeWrapper) return node
-      return new NodeWrapper(node, parent)
+      return new NodeWrapper(node, parent, field)
     }
 
     /**
@@ -178,6 +379,14 @@ module.exports = (ast, options) => {
   const ROOT = NodeWrapper.create(ast)
 
   /*
+   * A selector can be a string using a CSS like syntax where type names are
+   * compared against `getType()` and combined with descendant (` `), child
+   * (`>`), adjacent sibling (`+`), general sibling (`~`), universal (`*`)
+   * and grouping (`,`) selectors as well as attribute selectors matched
+   * against `getAttribute()` (`[key]`, `[key="value"]`, `[key=/regexp/]`, ...)
+   * and structural pseudo-classes (`:first-child`, `:nth-child(an+b)`,
+   * `:not()`, `:has()`, ...)
+   *
    * @typedef {string|regexp|function} Wrapper~Selector
    */
 
@@ -195,180 +404,2591 @@ module.exports = (ast, options) => {
     const isRegExp = _.isRegExp(selector)
     const isFunction = _.isFunction(selector)
     if (!(isString || isRegExp || isFunction)) return defaultValue
-    if (isString) return n => getType(n.node) === selector
+    if (isString) return selectors.compile(selector, options)
     if (isRegExp) return n => selector.test(getType(n.node))
     if (isFunction) return selector
   }
 
   /**
-   * Convenience function to return a new Wrapper
+   * Return true if a selector only matches a type, so the type index
+   * can be used to find nodes
    *
    * @private
-   * @param {function|string|NodeWrapper|NodeWrapper[]} [selector]
-   * @param {NodeWrapper|NodeWrapper[]} [context]
-   * @returns {QueryWrapper}
+   * @param {Wrapper~Selector} selector
+   * @returns {boolean}
    */
-  const $ = (selector, context) => {
-    const maybeSelector = getSelector(selector, false)
-    const nodes = _.flatten([(maybeSelector ? context : selector) || ROOT])
-    invariant(
-      _.every(nodes, NodeWrapper.isNodeWrapper),
-      'context must be a NodeWrapper or array of NodeWrappers'
+  const isIndexedType = selector =>
+    _.isString(selector) && selectors.isPlainType(selector)
+
+  /**
+   * Return true if a node is the same as or an ancestor of another node
+   *
+   * @private
+   * @param {NodeWrapper} node
+   * @param {NodeWrapper} other
+   * @returns {boolean}
+   */
+  const contains = (node, other) => {
+    for (let n = other; n; n = n.parent) {
+      if (n === node) return true
+    }
+    return false
+  }
+
+  /**
+   * Create a NodeWrapper that will be inserted into a parent. Detached
+   * NodeWrappers are moved to the parent while NodeWrappers that are still
+   * part of a tree are copied, so the same content can be inserted more
+   * than once.
+   *
+   * @private
+   * @param {object|NodeWrapper} node
+   * @param {NodeWrapper} parent
+   * @param {string} [field]
+   * @returns {NodeWrapper}
+   */
+  const createChild = (node, parent, field) => {
+    invariant(_.isObjectLike(node), 'content must be an object or NodeWrapper')
+    if (!NodeWrapper.isNodeWrapper(node)) {
+      return new NodeWrapper(node, parent, field)
+    }
+    if (node.parent || contains(node, parent)) {
+      return new NodeWrapper(node.toJSON(), parent, field)
+    }
+    node.parent = parent
+    node.field = field
+    return node
+  }
+
+  /**
+   * Create NodeWrappers for content that will be inserted into a parent
+   *
+   * @private
+   * @param {object|object[]|NodeWrapper|NodeWrapper[]|QueryWrapper} content
+   * @param {NodeWrapper} parent
+   * @param {string} [field]
+   * @returns {NodeWrapper[]}
+   */
+  const createChildren = (content, parent, field) =>
+    _.flattenDeep([content])
+      .reduce((a, c) => a.concat(c instanceof QueryWrapper ? c.nodes : c), [])
+      .map(c => createChild(c, parent, field))
+
+  /**
+   * Remove and/or insert children of a node. All changes to the
+   * children of a node go through this function, which keeps the parent
+   * of the inserted and removed nodes up to date.
+   *
+   * @private
+   * @param {NodeWrapper} parent
+   * @param {number} index
+   * @param {number} deleteCount
+   * @param {NodeWrapper[]} [nodes]
+   * @returns {NodeWrapper[]} the removed children
+   */
+  const spliceChildren = (parent, index, deleteCount, nodes) => {
+    nodes = nodes || []
+    if (isIndexed(parent)) {
+      removeChildrenFromIndex(parent, parent.children.slice(index, index + deleteCount))
+    }
+    const removed = parent.children.splice(index, deleteCount, ...nodes)
+    for (const n of removed) {
+      if (!nodes.includes(n)) n.parent = undefined
+    }
+    for (const n of nodes) {
+      n.parent = parent
+    }
+    if (isIndexed(parent)) addChildrenToIndex(parent, nodes)
+    record({
+      type: 'splice',
+      parent,
+      index,
+      removed,
+      removedFields: removed.map(n => n.field),
+      inserted: nodes,
+      insertedFields: nodes.map(n => n.field)
+    })
+    return removed
+  }
+
+  /**
+   * Return true if two nodes hold the same children in the same fields
+   *
+   * @private
+   * @param {object} a
+   * @param {object} b
+   * @returns {boolean}
+   */
+  const hasSameChildren = (a, b) => {
+    const childrenA = getChildren(a)
+    const childrenB = getChildren(b)
+    const fieldsA = getChildFields(a) || []
+    const fieldsB = getChildFields(b) || []
+    return childrenA.length === childrenB.length &&
+      childrenA.every((n, i) => n === childrenB[i] && fieldsA[i] === fieldsB[i])
+  }
+
+  /**
+   * Return the children of a node held by a field
+   *
+   * @private
+   * @param {object} node
+   * @param {string} field
+   * @returns {object[]}
+   */
+  const getFieldChildren = (node, field) => {
+    const fields = getChildFields(node)
+    return getChildren(node).filter((n, i) => fields[i] === field)
+  }
+
+  /**
+   * Wrap the children of a node that replaced a node with other children.
+   * Only the children of fields that hold other children are wrapped again,
+   * so the wrappers of the other fields keep the changes made to them.
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @param {object} before the node that was replaced
+   * @param {NodeWrapper[]} childrenBefore
+   * @returns {NodeWrapper[]}
+   */
+  const rewrapChildren = (wrapper, before, childrenBefore) => {
+    const { node } = wrapper
+    const fields = getChildFields(node)
+    // Children held by the same key all change with the key
+    if (!fields || !getChildFields(before)) return wrapper.createChildren()
+    const changed = _.memoize(field => {
+      const a = getFieldChildren(before, field)
+      const b = getFieldChildren(node, field)
+      return a.length !== b.length || a.some((n, i) => n !== b[i])
+    })
+    const kept = _.groupBy(childrenBefore, n => n.field)
+    const children = []
+    getChildren(node).forEach((child, i) => {
+      const field = fields[i]
+      if (changed(field)) {
+        children.push(new NodeWrapper(child, wrapper, field))
+      } else if (kept[field] && kept[field].length) {
+        children.push(kept[field].shift())
+      }
+    })
+    // Children that were inserted into a field that didn't change
+    _.forEach(kept, (rest, field) => {
+      if (changed(field)) return
+      for (const n of rest) {
+        const i = _.findLastIndex(children, c => c.field === field)
+        children.splice(i === -1 ? children.length : i + 1, 0, n)
+      }
+    })
+    return children
+  }
+
+  /**
+   * Replace the node of a NodeWrapper. All changes to the properties of a
+   * node go through this function.
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @param {object} node
+   */
+  const setNode = (wrapper, node) => {
+    invariant(_.isObjectLike(node), 'a node must be an object')
+    const before = wrapper.node
+    const childrenBefore = wrapper.children
+    wrapper.node = node
+    if (
+      wrapper.hasChildren !== hasChildren(before) ||
+      (wrapper.hasChildren && !hasSameChildren(before, node))
+    ) {
+      if (!wrapper.hasChildren) {
+        wrapper.children = null
+      } else if (hasChildren(before)) {
+        wrapper.children = rewrapChildren(wrapper, before, childrenBefore)
+      } else {
+        wrapper.children = wrapper.createChildren()
+      }
+    }
+    updateNodeIndex(wrapper, before, childrenBefore)
+    record({
+      type: 'node',
+      wrapper,
+      before,
+      childrenBefore,
+      after: node,
+      childrenAfter: wrapper.children
+    })
+  }
+
+  /**
+   * The changes made by the modification that is currently running,
+   * or null if nothing is being modified
+   *
+   * @private
+   */
+  let journal = null
+
+  /**
+   * The wrappers of the tree by type in document order (the order used by
+   * `find()`), the wrapper at each position and the size of the subtree at
+   * each position. The index is created when it is first needed and updated
+   * when a change adds, removes or retypes a node. Each update renumbers the
+   * nodes after the change, so once the updates have renumbered as many
+   * nodes as the tree has the index is discarded and created again by the
+   * next lookup instead.
+   *
+   * @private
+   */
+  let typeIndex = null
+
+  /**
+   * Return the type index, creating it if needed
+   *
+   * @private
+   * @returns {object}
+   */
+  const getTypeIndex = () => {
+    if (typeIndex) return typeIndex
+    const index = { types: new Map(), nodes: [], sizes: [], budget: 0 }
+    const { types, nodes, sizes } = index
+    const visit = n => {
+      // The subtree of a node is the range of positions that starts with the node
+      const position = nodes.length
+      n.$typeIndex = index
+      n.$position = position
+      nodes.push(n)
+      sizes.push(1)
+      addToTypeList(types, n)
+      if (n.children) n.children.forEach(visit)
+      sizes[position] = nodes.length - position
+    }
+    visit(ROOT)
+    index.budget = nodes.length
+    typeIndex = index
+    return typeIndex
+  }
+
+  /**
+   * Return true if a node is part of the current type index
+   *
+   * @private
+   * @param {NodeWrapper} n
+   * @returns {boolean}
+   */
+  const isIndexed = n => Boolean(typeIndex) && n.$typeIndex === typeIndex
+
+  /**
+   * Add a node to the nodes of its type in the type index
+   *
+   * @private
+   * @param {Map<string, NodeWrapper[]>} types
+   * @param {NodeWrapper} n
+   * @param {string} [type]
+   */
+  const addToTypeList = (types, n, type) => {
+    type = _.isUndefined(type) ? getType(n.node) : type
+    const nodes = types.get(type)
+    if (!nodes) types.set(type, [n])
+    else if (!nodes.length || _.last(nodes).$position < n.$position) nodes.push(n)
+    else nodes.splice(bisect(nodes, n.$position), 0, n)
+  }
+
+  /**
+   * Remove a node from the nodes of its type in the type index
+   *
+   * @private
+   * @param {Map<string, NodeWrapper[]>} types
+   * @param {NodeWrapper} n
+   * @param {string} [type]
+   */
+  const removeFromTypeList = (types, n, type) => {
+    const nodes = types.get(_.isUndefined(type) ? getType(n.node) : type)
+    nodes.splice(bisect(nodes, n.$position), 1)
+  }
+
+  /**
+   * Renumber the nodes of the type index from a position. Returns false and
+   * discards the index instead if the budget of the index has run out.
+   *
+   * @private
+   * @param {number} position
+   * @returns {boolean}
+   */
+  const renumber = position => {
+    const { nodes } = typeIndex
+    typeIndex.budget -= nodes.length - position
+    if (typeIndex.budget < 0) {
+      typeIndex = null
+      return false
+    }
+    for (let i = position; i < nodes.length; i++) nodes[i].$position = i
+    return true
+  }
+
+  /**
+   * Remove the subtrees of consecutive children of an indexed node
+   * from the type index
+   *
+   * @private
+   * @param {NodeWrapper} parent
+   * @param {NodeWrapper[]} children
+   */
+  const removeChildrenFromIndex = (parent, children) => {
+    if (!children.length) return
+    const { types, nodes, sizes } = typeIndex
+    const position = children[0].$position
+    const last = _.last(children).$position
+    const count = last + sizes[last] - position
+    for (const n of nodes.slice(position, position + count)) {
+      removeFromTypeList(types, n)
+      n.$typeIndex = undefined
+    }
+    nodes.splice(position, count)
+    sizes.splice(position, count)
+    for (let n = parent; n; n = n.parent) sizes[n.$position] -= count
+    renumber(position)
+  }
+
+  /**
+   * Add the subtrees of consecutive children of an indexed node that were
+   * inserted into its children to the type index
+   *
+   * @private
+   * @param {NodeWrapper} parent
+   * @param {NodeWrapper[]} children
+   */
+  const addChildrenToIndex = (parent, children) => {
+    if (!children.length) return
+    const i = parent.children.indexOf(children[0])
+    const previous = parent.children[i - 1]
+    const position = previous
+      ? previous.$position + typeIndex.sizes[previous.$position]
+      : parent.$position + 1
+    const added = []
+    const addedSizes = []
+    const visit = n => {
+      const start = added.length
+      added.push(n)
+      addedSizes.push(1)
+      if (n.children) n.children.forEach(visit)
+      addedSizes[start] = added.length - start
+    }
+    children.forEach(visit)
+    const index = typeIndex
+    const { nodes, sizes } = index
+    index.nodes = nodes.slice(0, position).concat(added, nodes.slice(position))
+    index.sizes = sizes.slice(0, position).concat(addedSizes, sizes.slice(position))
+    for (let n = parent; n; n = n.parent) index.sizes[n.$position] += added.length
+    if (!renumber(position)) return
+    for (const n of added) {
+      n.$typeIndex = index
+      addToTypeList(index.types, n)
+    }
+  }
+
+  /**
+   * Update the type index after the node of an indexed NodeWrapper was
+   * replaced by setNode() or by reverting or reapplying such a change
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @param {object} before the node that was replaced
+   * @param {NodeWrapper[]|null} childrenBefore
+   */
+  const updateNodeIndex = (wrapper, before, childrenBefore) => {
+    if (!isIndexed(wrapper)) return
+    const type = getType(wrapper.node)
+    if (type !== getType(before)) {
+      removeFromTypeList(typeIndex.types, wrapper, getType(before))
+      addToTypeList(typeIndex.types, wrapper, type)
+    }
+    if (wrapper.children === childrenBefore) return
+    removeChildrenFromIndex(wrapper, childrenBefore || [])
+    if (isIndexed(wrapper)) addChildrenToIndex(wrapper, wrapper.children || [])
+  }
+
+  /**
+   * Return the nodes of a type in the subtree of a node (including the node)
+   * in document order or null if the node isn't part of the tree
+   *
+   * @private
+   * @param {NodeWrapper} node
+   * @param {string} type
+   * @returns {NodeWrapper[]|null}
+   */
+  const findByType = (node, type) => {
+    const { types, sizes } = getTypeIndex()
+    if (node.$typeIndex !== typeIndex) return null
+    const position = node.$position
+    const nodes = types.get(type) || []
+    return nodes.slice(
+      bisect(nodes, position),
+      bisect(nodes, position + sizes[position])
     )
-    return maybeSelector
-      ? new QueryWrapper(nodes).find(maybeSelector)
-      : new QueryWrapper(nodes)
   }
 
   /**
-   * Wrap a {@link NodeWrapper} with chainable traversal/modification functions
+   * Return the index of the first node at or after a position
+   *
+   * @private
+   * @param {NodeWrapper[]} nodes nodes of the type index in document order
+   * @param {number} position
+   * @returns {number}
    */
-  class QueryWrapper {
+  const bisect = (nodes, position) => {
+    let low = 0
+    let high = nodes.length
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (nodes[middle].$position < position) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+
+  /**
+   * Add a change made by spliceChildren() or setNode() to the journal
+   *
+   * @private
+   * @param {object} change
+   */
+  const record = change => {
+    if (journal) journal.push(change)
+  }
+
+  /**
+   * Revert changes in reverse order
+   *
+   * @private
+   * @param {object[]} changes
+   */
+  const revert = changes => {
+    for (const change of changes.slice().reverse()) {
+      if (change.type === 'node') {
+        change.wrapper.node = change.before
+        change.wrapper.children = change.childrenBefore
+        updateNodeIndex(change.wrapper, change.after, change.childrenAfter)
+      } else {
+        const { parent, index, removed, removedFields, inserted } = change
+        spliceChildren(parent, index, inserted.length, removed)
+        removed.forEach((n, i) => {
+          n.field = removedFields[i]
+        })
+      }
+    }
+  }
+
+  /**
+   * Apply changes that have been reverted again
+   *
+   * @private
+   * @param {object[]} changes
+   */
+  const reapply = changes => {
+    for (const change of changes) {
+      if (change.type === 'node') {
+        change.wrapper.node = change.after
+        change.wrapper.children = change.childrenAfter
+        updateNodeIndex(change.wrapper, change.before, change.childrenBefore)
+      } else {
+        const { parent, index, removed, inserted, insertedFields } = change
+        inserted.forEach((n, i) => {
+          n.field = insertedFields[i]
+        })
+        spliceChildren(parent, index, removed.length, inserted)
+      }
+    }
+  }
+
+  /**
+   * The changes of each modification that can be undone (oldest first)
+   * and of each modification that has been undone (most recent first)
+   *
+   * @private
+   */
+  const history = { done: [], undone: [] }
+
+  /**
+   * Create a new AST from the current state of the tree that reuses
+   * the nodes of every subtree that didn't change
+   *
+   * @private
+   * @param {object[]} changes
+   * @returns {object}
+   */
+  const createAST = changes => {
+    const changed = new Set()
+    for (const change of changes) {
+      let n = change.type === 'node' ? change.wrapper : change.parent
+      for (; n && !changed.has(n); n = n.parent) changed.add(n)
+    }
+    const build = n => changed.has(n) && n.hasChildren
+      ? toJSON(
+        n.node,
+        n.children.map(build),
+        n.children.map(c => c.field)
+      )
+      : n.node
+    return build(ROOT)
+  }
+
+  /**
+   * Run a function that modifies the tree. The changes are reverted if the
+   * function throws an error and added to the history otherwise.
+   *
+   * In immutable mode the changes are reverted once a new AST has been
+   * created from them and a query function for the new AST is returned.
+   *
+   * @private
+   * @param {QueryWrapper|function} wrapper
+   * @param {function} fn
+   * @returns {QueryWrapper|function} the wrapper or a new query function
+   * in immutable mode
+   */
+  const modify = (wrapper, fn) => {
+    // Nested modifications are part of the outer modification
+    if (journal) {
+      fn()
+      return wrapper
+    }
+    const changes = journal = []
+    try {
+      fn()
+    } catch (e) {
+      journal = null
+      revert(changes)
+      throw e
+    }
+    journal = null
+    if (!options.immutable) {
+      if (changes.length) {
+        history.done.push(changes)
+        history.undone = []
+      }
+      return wrapper
+    }
+    if (!changes.length) return $
+    const root = createAST(changes)
+    revert(changes)
+    return createQueryWrapper(root, options)
+  }
+
+  /**
+   * Convenience function to return a new Wrapper
+   *
+   * @private
+   * @param {function|string|NodeWrapper|NodeWrapper[]} [selector]
+   * @param {NodeWrapper|NodeWrapper[]} [context]
+   * @returns {QueryWrapper}
+   */
+  const $ = (selector, context) => {
+    const maybeSelector = getSelector(selector, false)
+    const nodes = _.flatten([(maybeSelector ? context : selector) || ROOT])
+    invariant(
+      _.every(nodes, NodeWrapper.isNodeWrapper),
+      'context must be a NodeWrapper or array of NodeWrappers'
+    )
+    return maybeSelector
+      ? new QueryWrapper(nodes).find(selector)
+      : new QueryWrapper(_.uniq(nodes))
+  }
+
+  /**
+   * The AST the query function was created for. The AST itself is never
+   * modified, changes can be retrieved with `$().get(0)`.
+   *
+   * @type {object}
+   */
+  $.ast = ast
+
+  /**
+   * Return the node at a path returned by `path()`, either an array of
+   * child indexes or a JSON Pointer. The QueryWrapper is empty if there
+   * is no node at the path.
+   *
+   * @param {number[]|string} path
+   * @returns {QueryWrapper}
+   */
+  $.at = path => {
+    let n = ROOT
+    if (Array.isArray(path)) {
+      invariant(
+        path.every(Number.isInteger),
+        'a path must be an array of child indexes or a JSON Pointer'
+      )
+      for (const i of path) n = n && n.children ? n.children[i] : undefined
+    } else {
+      const tokens = parsePointer(path)
+      for (let i = 0; n && i < tokens.length; i++) {
+        const group = getChildGroups(n).get(tokens[i])
+        if (!group) {
+          n = undefined
+        } else if (!group.array) {
+          n = group.children[0]
+        } else {
+          const token = tokens[++i]
+          n = /^(0|[1-9]\d*)$/.test(token)
+            ? getChildAt(group, Number(token))
+            : undefined
+        }
+      }
+    }
+    return new QueryWrapper(n ? [n] : [])
+  }
+
+  /**
+   * Compare the position of two NodeWrappers in document order, where a node
+   * comes before its descendants and its following siblings. Unlike the DOM
+   * method with the same name, the result can be used to sort nodes.
+   *
+   * @param {NodeWrapper} a
+   * @param {NodeWrapper} b
+   * @returns {number} -1 if `a` comes before `b`, 1 if it comes after or 0
+   *   if they are the same node
+   */
+  $.compareDocumentPosition = (a, b) => {
+    invariant(
+      NodeWrapper.isNodeWrapper(a) && NodeWrapper.isNodeWrapper(b),
+      'compareDocumentPosition() requires two NodeWrappers'
+    )
+    return Math.sign(createComparator()(a, b))
+  }
+
+  /**
+   * Run a function that makes several modifications as a single modification.
+   * If the function throws an error every change it made is reverted,
+   * otherwise the changes can be undone with a single call to `$.undo()`.
+   *
+   * In immutable mode, modifications made by the function change the tree
+   * and a query function for the resulting AST is returned.
+   *
+   * @param {function} fn
+   * @returns {function} `$` or a new query function in immutable mode
+   */
+  $.transaction = fn => {
+    invariant(_.isFunction(fn), 'transaction() requires a function')
+    return modify($, fn)
+  }
+
+  /**
+   * Revert the most recent modification (or transaction)
+   *
+   * @returns {boolean} false if there was nothing to undo
+   */
+  $.undo = () => {
+    invariant(!options.immutable, 'undo() is not available in immutable mode')
+    invariant(!journal, 'undo() can not be called during a modification')
+    const changes = history.done.pop()
+    if (!changes) return false
+    revert(changes)
+    history.undone.push(changes)
+    return true
+  }
+
+  /**
+   * Apply the most recently undone modification (or transaction) again
+   *
+   * @returns {boolean} false if there was nothing to redo
+   */
+  $.redo = () => {
+    invariant(!options.immutable, 'redo() is not available in immutable mode')
+    invariant(!journal, 'redo() can not be called during a modification')
+    const changes = history.undone.pop()
+    if (!changes) return false
+    reapply(changes)
+    history.done.push(changes)
+    return true
+  }
+
+  /**
+   * A change made to the tree
+   *
+   * @typedef {object} QueryWrapper~Change
+   * @property {string} type "splice" when children have been removed and/or
+   * inserted or "node" when the node of a NodeWrapper has been replaced
+   * @property {NodeWrapper} [parent] the node whose children changed
+   * @property {number} [index] the index of the first removed/inserted child
+   * @property {NodeWrapper[]} [removed] the removed children
+   * @property {NodeWrapper[]} [inserted] the inserted children
+   * @property {NodeWrapper} [node] the NodeWrapper whose node changed
+   * @property {object} [before] the node before the change
+   * @property {object} [after] the node after the change
+   */
+
+  /**
+   * Return the changes made by each modification (or transaction)
+   * that can be undone, oldest first
+   *
+   * @returns {Array<QueryWrapper~Change[]>}
+   */
+  $.changes = () =>
+    history.done.map(changes =>
+      changes.map(change =>
+        change.type === 'node'
+          ? _.assign(
+            { type: 'node', node: change.wrapper },
+            _.pick(change, ['before', 'after'])
+          )
+          : _.pick(change, ['type', 'parent', 'index', 'removed', 'inserted'])
+      )
+    )
+
+  /**
+   * Return the key of a node that holds the array returned by `getChildren()`
+   * or undefined if `getChildren()` doesn't return an array held by the node
+   *
+   * @private
+   * @param {object} node
+   * @returns {string|undefined}
+   */
+  const findChildrenKey = node => {
+    const children = getChildren(node)
+    return _.findKey(node, value => value === children)
+  }
+
+  /**
+   * Return the key of a node that holds the array returned by `getChildren()`
+   *
+   * @private
+   * @param {object} node
+   * @returns {string}
+   */
+  const getChildrenKey = node => {
+    const key = findChildrenKey(node)
+    invariant(
+      !_.isUndefined(key),
+      `Unable to find the key holding the children of a "${getType(node)}" node`
+    )
+    return key
+  }
+
+  /**
+   * Return the keys of a node that hold children
+   *
+   * @private
+   * @param {object} node
+   * @returns {string[]}
+   */
+  const getChildKeys = node => {
+    if (!hasChildren(node)) return []
+    const fields = getChildFields(node)
+    return fields ? _.uniq(fields) : [getChildrenKey(node)]
+  }
+
+  /**
+   * Group children by the key of the node that holds them. Each group
+   * has the children and whether the key holds an array. Arrays with empty
+   * slots (like the elements of `[, a] = b`) also have the index of each
+   * child in the array and the length of the array, as long as the children
+   * still fill the other slots.
+   *
+   * @private
+   * @param {object} node
+   * @param {Array<object|NodeWrapper>} children
+   * @param {string[]|null} fields
+   * @returns {Map<string, object>}
+   */
+  const groupChildren = (node, children, fields) => {
+    const groups = new Map()
+    const key = fields ? null : getChildrenKey(node)
+    if (!fields) groups.set(key, { array: true, children: [] })
+    children.forEach((child, i) => {
+      const field = fields ? fields[i] : key
+      if (!groups.has(field)) {
+        groups.set(field, { array: Array.isArray(node[field]), children: [] })
+      }
+      groups.get(field).children.push(child)
+    })
+    for (const [field, group] of groups) {
+      const value = node[field]
+      if (!group.array || !value.includes(null)) continue
+      const slots = _.range(value.length).filter(i => value[i] !== null)
+      if (slots.length !== group.children.length) continue
+      group.slots = slots
+      group.size = value.length
+    }
+    return groups
+  }
+
+  /**
+   * Return the index in the array held by the key of a group of the child
+   * at an index of the group
+   *
+   * @private
+   * @param {object} group
+   * @param {number} index
+   * @returns {number}
+   */
+  const getSlot = (group, index) => group.slots ? group.slots[index] : index
+
+  /**
+   * Return the length of the array held by the key of a group
+   *
+   * @private
+   * @param {object} group
+   * @returns {number}
+   */
+  const getSlotCount = group => group.slots ? group.size : group.children.length
+
+  /**
+   * Return the child of a group at an index of the array held by its key
+   * or undefined if the index is an empty slot
+   *
+   * @private
+   * @param {object} group
+   * @param {number} slot
+   * @returns {NodeWrapper|undefined}
+   */
+  const getChildAt = (group, slot) =>
+    group.children[group.slots ? group.slots.indexOf(slot) : slot]
+
+  /**
+   * Group the children of a NodeWrapper by the key that holds them
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @returns {Map<string, object>}
+   */
+  const getChildGroups = wrapper => {
+    if (!wrapper.children) return new Map()
+    return groupChildren(
+      wrapper.node,
+      wrapper.children,
+      getChildFields(wrapper.node) && wrapper.children.map(n => n.field)
+    )
+  }
+
+  /**
+   * Return the index of a node and each of its ancestors in the children
+   * of their parent, starting from the root
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @returns {number[]}
+   */
+  const getIndexPath = wrapper => {
+    const indexes = []
+    let n = wrapper
+    for (; n.parent; n = n.parent) {
+      const i = _.indexOf(n.parent.children, n)
+      invariant(i !== -1, 'a detached node has no path')
+      indexes.unshift(i)
+    }
+    invariant(n === ROOT, 'a detached node has no path')
+    return indexes
+  }
+
+  /**
+   * Return a function that compares the position of two nodes in document
+   * order, where a node comes before its descendants and its following
+   * siblings. Positions are cached, so the function should only be used
+   * while the tree doesn't change.
+   *
+   * @private
+   * @returns {function}
+   */
+  const createComparator = () => {
+    const indexes = new Map()
+    const paths = new Map()
+    const getIndex = n => {
+      const p = n.parent
+      if (!indexes.has(p)) {
+        indexes.set(p, new Map((p.children || []).map((child, i) => [child, i])))
+      }
+      const index = indexes.get(p).get(n)
+      return _.isUndefined(index) ? -1 : index
+    }
+    const getPath = n => {
+      if (!paths.has(n)) {
+        paths.set(n, n.parent ? getPath(n.parent).concat(getIndex(n)) : [])
+      }
+      return paths.get(n)
+    }
+    return (a, b) => {
+      if (a === b) return 0
+      // The type index already numbers the nodes in document order
+      if (typeIndex && a.$typeIndex === typeIndex && b.$typeIndex === typeIndex) {
+        return a.$position - b.$position
+      }
+      const x = getPath(a)
+      const y = getPath(b)
+      for (let i = 0; i < x.length && i < y.length; i++) {
+        if (x[i] !== y[i]) return x[i] - y[i]
+      }
+      return x.length - y.length
+    }
+  }
+
+  /**
+   * Return nodes without duplicates in document order
+   *
+   * @private
+   * @param {NodeWrapper[]} nodes
+   * @returns {NodeWrapper[]}
+   */
+  const inDocumentOrder = nodes =>
+    nodes.length > 1 ? _.uniq(nodes).sort(createComparator()) : nodes.slice()
+
+  /**
+   * Return the JSON Pointer tokens of a node and whether the key holding
+   * the node is an array
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @returns {object}
+   */
+  const locate = wrapper => {
+    const tokens = []
+    let array = false
+    let n = wrapper
+    for (; n.parent; n = n.parent) {
+      for (const [key, group] of getChildGroups(n.parent)) {
+        if (!group.children.includes(n)) continue
+        if (n === wrapper) array = group.array
+        tokens.unshift(...(group.array
+          ? [key, getSlot(group, group.children.indexOf(n))]
+          : [key]))
+        break
+      }
+    }
+    invariant(n === ROOT, 'a detached node has no path')
+    return { tokens, array }
+  }
+
+  /**
+   * Return the JSON Pointer of a node or, if the children of an ancestor
+   * are computed by `getChildren()` and not held by a key, its index path
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @returns {string|number[]}
+   */
+  const getNodePath = wrapper => {
+    for (let n = wrapper.parent; n; n = n.parent) {
+      if (!getChildFields(n.node) && _.isUndefined(findChildrenKey(n.node))) {
+        return getIndexPath(wrapper)
+      }
+    }
+    return formatPointer(locate(wrapper).tokens)
+  }
+
+  /**
+   * Return the JSON of the properties of a node without its children.
+   * Keys that only exist in the JSON (and not as an attribute of the node)
+   * are left out.
+   *
+   * @private
+   * @param {object} node
+   * @param {string[]} keys the keys that hold children
+   * @returns {object}
+   */
+  const getAttributesJSON = (node, keys) =>
+    _.pickBy(
+      _.omit(
+        hasChildren(node) ? toJSON(node, [], []) : toJSON(node, null, null),
+        keys
+      ),
+      (value, key) => !_.isUndefined(getAttribute(node, key))
+    )
+
+  /**
+   * Return the JSON Patch operations for the differences between the
+   * properties of two nodes
+   *
+   * @private
+   * @param {object} a
+   * @param {object} b
+   * @param {string[]} keys the keys that hold children
+   * @param {string[]} tokens
+   * @returns {object[]}
+   */
+  const diffAttributes = (a, b, keys, tokens) => {
+    keys = _.compact(_.union(keys, getChildKeys(a), getChildKeys(b)))
+    return diffJSON(
+      getAttributesJSON(a, keys),
+      getAttributesJSON(b, keys),
+      tokens
+    )
+  }
+
+  /**
+   * Add the JSON Patch operations that turn a node into another node
+   *
+   * @private
+   * @param {NodeWrapper} a
+   * @param {object} b
+   * @param {string[]} tokens
+   * @param {object[]} ops
+   * @param {boolean} pristine true if the tree hasn't been modified, so
+   * nodes that are the same have the same children
+   */
+  const diffNodes = (a, b, tokens, ops, pristine) => {
+    // Children that haven't been wrapped can't have been modified
+    const unmodified = pristine || _.isUndefined(a.$children)
+    if (unmodified && a.node === b) return
+    if (getType(a.node) !== getType(b) || a.hasChildren !== hasChildren(b)) {
+      ops.push({
+        op: 'replace',
+        path: formatPointer(tokens),
+        value: new NodeWrapper(b).toJSON()
+      })
+      return
+    }
+    const groupsA = getChildGroups(a)
+    const groupsB = a.hasChildren
+      ? groupChildren(b, getChildren(b), getChildFields(b))
+      : new Map()
+    const keys = _.union([...groupsA.keys()], [...groupsB.keys()])
+    if (a.node !== b) ops.push(...diffAttributes(a.node, b, keys, tokens))
+    for (const key of keys) {
+      const groupA = groupsA.get(key) || { children: [] }
+      const groupB = groupsB.get(key) || { children: [] }
+      const array = groupsB.has(key) ? groupB.array : groupA.array
+      const children = groupB.children
+      const base = tokens.concat(key)
+      if (!array) {
+        if (groupA.children.length && children.length) {
+          diffNodes(groupA.children[0], children[0], base, ops, pristine)
+        } else {
+          ops.push({
+            op: children.length ? 'add' : 'replace',
+            path: formatPointer(base),
+            value: children.length ? new NodeWrapper(children[0]).toJSON() : null
+          })
+        }
+        continue
+      }
+      let index = 0
+      const steps = align(
+        groupA.children,
+        children,
+        (n, node) => getType(n.node) === getType(node)
+      )
+      // Indexes of arrays with empty slots only hold while the children
+      // keep their slots, otherwise the whole array is replaced
+      if (
+        (groupA.slots || groupB.slots) &&
+        !(_.isEqual(groupA.slots, groupB.slots) &&
+          steps.every(step => step[0] === 'match'))
+      ) {
+        ops.push({
+          op: 'replace',
+          path: formatPointer(base),
+          value: new NodeWrapper(b).toJSON()[key]
+        })
+        continue
+      }
+      steps.forEach((step, k) => {
+        const next = steps[k + 1]
+        if (step[0] === 'match') {
+          const [, i, j] = step
+          diffNodes(
+            groupA.children[i],
+            children[j],
+            base.concat(getSlot(groupA, index++)),
+            ops,
+            pristine
+          )
+        } else if (step[0] === 'remove' && !(next && next[0] === 'add')) {
+          ops.push({ op: 'remove', path: formatPointer(base.concat(index)) })
+        } else if (step[0] === 'add') {
+          // A removal followed by an addition is a replacement
+          const previous = steps[k - 1]
+          ops.push({
+            op: previous && previous[0] === 'remove' ? 'replace' : 'add',
+            path: formatPointer(base.concat(index++)),
+            value: new NodeWrapper(children[step[1]]).toJSON()
+          })
+        }
+      })
+    }
+  }
+
+  /**
+   * Apply a change that has been reverted again and return the
+   * JSON Patch operations that describe it. The change is applied even if
+   * the operations can't be created. Changes to nodes that aren't part of
+   * the tree don't have operations, as the operation that inserts the nodes
+   * includes them.
+   *
+   * @private
+   * @param {object} change
+   * @returns {object[]}
+   */
+  const reapplyAsOperations = change => {
+    let applied = false
+    const apply = () => {
+      reapply([change])
+      applied = true
+    }
+    try {
+      return getOperations(change, apply)
+    } finally {
+      if (!applied) apply()
+    }
+  }
+
+  /**
+   * Return the JSON Patch operations of a change that has been reverted,
+   * calling `apply()` to apply the change again
+   *
+   * @private
+   * @param {object} change
+   * @param {function} apply
+   * @returns {object[]}
+   */
+  const getOperations = (change, apply) => {
+    if (change.type === 'node') {
+      const { wrapper, before, after } = change
+      if (!isAttached(wrapper)) return []
+      const { tokens } = locate(wrapper)
+      apply()
+      if (change.childrenBefore !== change.childrenAfter) {
+        return [{
+          op: 'replace',
+          path: formatPointer(tokens),
+          value: wrapper.toJSON()
+        }]
+      }
+      const keys = (wrapper.children || []).map(n => n.field)
+      return diffAttributes(before, after, keys, tokens)
+    }
+    const { parent } = change
+    if (!isAttached(parent)) return []
+    const fields = _.uniq(change.removedFields.concat(change.insertedFields))
+    const groups = getChildGroups(parent)
+    if (fields.some(field => _.get(groups.get(field), 'slots'))) {
+      // The indexes of arrays with empty slots change with their length
+      const { tokens } = locate(parent)
+      apply()
+      const json = parent.toJSON()
+      return fields.map(field => ({
+        op: 'replace',
+        path: formatPointer(tokens.concat(field)),
+        value: json[field]
+      }))
+    }
+    const removals = change.removed
+      .map(n => locate(n))
+      .reverse()
+      .map(({ tokens, array }) => array
+        ? { op: 'remove', path: formatPointer(tokens) }
+        : { op: 'replace', path: formatPointer(tokens), value: null }
+      )
+    apply()
+    const additions = change.inserted.map(n => {
+      const path = formatPointer(locate(n).tokens)
+      const removal = _.find(removals, { op: 'replace', path })
+      _.pull(removals, removal)
+      return { op: removal ? 'replace' : 'add', path, value: n.toJSON() }
+    })
+    return removals.concat(additions)
+  }
+
+  /**
+   * Return the children group a key refers to or null if the key
+   * refers to a property of the node
+   *
+   * @private
+   * @param {NodeWrapper} wrapper
+   * @param {string} key
+   * @param {any} [value] the value that will be added
+   * @returns {object|null}
+   */
+  const getChildGroup = (wrapper, key, value) => {
+    if (!wrapper.children) return null
+    const groups = getChildGroups(wrapper)
+    if (groups.has(key)) return groups.get(key)
+    if (!getChildFields(wrapper.node)) return null
+    // Fields without children
+    const current = wrapper.node[key]
+    if (Array.isArray(current) && current.every(_.isObjectLike)) {
+      return { array: true, children: [] }
+    }
+    if (current === null && _.isPlainObject(value)) {
+      return { array: false, children: [] }
+    }
+    return null
+  }
+
+  /**
+   * Find what the tokens of a JSON Pointer refer to: the root node,
+   * all children held by a key, a single child or a property of a node
+   *
+   * @private
+   * @param {string[]} tokens
+   * @param {any} [value] the value that will be added
+   * @returns {object}
+   */
+  const resolve = (tokens, value) => {
+    let wrapper = ROOT
+    for (let i = 0; i < tokens.length; i++) {
+      const key = tokens[i]
+      const last = i === tokens.length - 1
+      const group = getChildGroup(wrapper, key, last ? value : undefined)
+      if (!group) {
+        return { type: 'property', parent: wrapper, key, rest: tokens.slice(i + 1) }
+      }
+      if (group.array && last) {
+        return { type: 'children', parent: wrapper, key, group }
+      }
+      const token = group.array ? tokens[++i] : undefined
+      if (i === tokens.length - 1) {
+        return { type: 'child', parent: wrapper, key, group, token }
+      }
+      wrapper = group.array
+        ? getChildAt(group, parseIndex(token, getSlotCount(group)))
+        : group.children[0]
+      invariant(wrapper, `"${formatPointer(tokens)}" does not exist`)
+    }
+    return { type: 'root' }
+  }
+
+  /**
+   * Return the index in the children of the parent where children
+   * held by a key that doesn't have any children yet should be inserted
+   *
+   * @private
+   * @param {NodeWrapper} parent
+   * @param {string} key
+   * @returns {number}
+   */
+  const getInsertionIndex = (parent, key) => {
+    const keys = Object.keys(parent.node)
+    const order = keys.indexOf(key)
+    const index = parent.children.findIndex(n => keys.indexOf(n.field) > order)
+    return index === -1 ? parent.children.length : index
+  }
+
+  /**
+   * Return the index in the children of the parent and the NodeWrapper
+   * (if it exists) of a resolved child
+   *
+   * @private
+   * @param {object} target
+   * @param {boolean} [end] true if the token can reference the end of an array
+   * @returns {object}
+   */
+  const locateChild = (target, end) => {
+    const { parent, key, group, token } = target
+    const { children } = group
+    const slot = group.array ? parseIndex(token, getSlotCount(group), end) : 0
+    // The number of children before the slot
+    const k = group.slots ? _.sortedIndex(group.slots, slot) : slot
+    if (k < children.length) {
+      const child = getSlot(group, k) === slot ? children[k] : undefined
+      return { index: parent.children.indexOf(children[k]), child }
+    }
+    return {
+      index: children.length
+        ? parent.children.indexOf(_.last(children)) + 1
+        : getInsertionIndex(parent, key)
+    }
+  }
+
+  /**
+   * Return the field of a node that will be inserted under a key
+   *
+   * @private
+   * @param {object} target
+   * @returns {string}
+   */
+  const getField = target =>
+    getChildFields(target.parent.node) ? target.key : undefined
+
+  /**
+   * Insert or replace a resolved child
+   *
+   * @private
+   * @param {object} target
+   * @param {any} value
+   * @param {boolean} replace
+   */
+  const setChild = (target, value, replace) => {
+    const { index, child } = locateChild(target, !replace)
+    if (target.group.array) {
+      invariant(!replace || child, `"${target.token}" does not exist`)
+    } else {
+      replace = Boolean(child)
+    }
+    spliceChildren(
+      target.parent,
+      index,
+      replace ? 1 : 0,
+      target.group.array || value !== null
+        ? [createChild(value, target.parent, getField(target))]
+        : []
+    )
+  }
+
+  /**
+   * Replace all children held by a key
+   *
+   * @private
+   * @param {object} target
+   * @param {object[]} value
+   */
+  const setChildren = (target, value) => {
+    invariant(Array.isArray(value), `"${target.key}" must be an array`)
+    const { parent, key, group } = target
+    const index = group.children.length
+      ? parent.children.indexOf(group.children[0])
+      : getInsertionIndex(parent, key)
+    for (const n of group.children) {
+      spliceChildren(parent, parent.children.indexOf(n), 1)
+    }
+    spliceChildren(
+      parent,
+      index,
+      0,
+      value.map(node => createChild(node, parent, getField(target)))
+    )
+  }
+
+  /**
+   * Replace the root node
+   *
+   * @private
+   * @param {object} node
+   */
+  const setRoot = node => {
+    const keepChildren = hasChildren(ROOT.node) && hasChildren(node)
+    setNode(ROOT, node)
+    if (keepChildren) {
+      spliceChildren(ROOT, 0, ROOT.children.length, ROOT.createChildren())
+    }
+  }
+
+  /**
+   * Change a property of a resolved node through `setAttribute()`
+   * and `removeAttribute()`
+   *
+   * @private
+   * @param {object} target
+   * @param {function} fn called with a JSON document holding the property
+   * and the tokens of the location to change
+   */
+  const setProperty = (target, fn) => {
+    const { parent, key } = target
+    const document = getPropertyDocument(target)
+    fn(document, [key].concat(target.rest))
+    setNode(parent, _.has(document.value, key)
+      ? setAttribute(parent.node, key, document.value[key])
+      : removeAttribute(parent.node, key)
+    )
+  }
+
+  /**
+   * Return a JSON document holding a property of a resolved node
+   *
+   * @private
+   * @param {object} target
+   * @returns {object}
+   */
+  const getPropertyDocument = target => {
+    const value = getAttribute(target.parent.node, target.key)
+    return createDocument(_.isUndefined(value) ? {} : { [target.key]: value })
+  }
+
+  /**
+   * The tree as a document that JSON Patch operations can be applied to
+   *
+   * @private
+   */
+  const treeDocument = {
+    get: tokens => {
+      const target = resolve(tokens)
+      switch (target.type) {
+        case 'root':
+          return ROOT.toJSON()
+        case 'children':
+          return target.group.slots
+            ? target.parent.toJSON()[target.key]
+            : target.group.children.map(n => n.toJSON())
+        case 'child': {
+          const { child } = locateChild(target)
+          invariant(
+            child || !target.group.array || target.group.slots,
+            `"${formatPointer(tokens)}" does not exist`
+          )
+          return child ? child.toJSON() : null
+        }
+        default:
+          return getPropertyDocument(target).get([target.key].concat(target.rest))
+      }
+    },
+    add: (tokens, value) => {
+      const target = resolve(tokens, value)
+      switch (target.type) {
+        case 'root':
+          return setRoot(value)
+        case 'children':
+          return setChildren(target, value)
+        case 'child':
+          return setChild(target, value, false)
+        default:
+          return setProperty(target, (document, tokens) => {
+            document.add(tokens, value)
+          })
+      }
+    },
+    remove: tokens => {
+      const target = resolve(tokens)
+      switch (target.type) {
+        case 'root':
+          return invariant(false, 'the root node can not be removed')
+        case 'children':
+          return setChildren(target, [])
+        case 'child': {
+          const { index, child } = locateChild(target)
+          invariant(child, `"${formatPointer(tokens)}" does not exist`)
+          return spliceChildren(target.parent, index, 1)
+        }
+        default:
+          return setProperty(target, (document, tokens) => {
+            document.remove(tokens)
+          })
+      }
+    },
+    replace: (tokens, value) => {
+      const target = resolve(tokens, value)
+      switch (target.type) {
+        case 'root':
+          return setRoot(value)
+        case 'children':
+          return setChildren(target, value)
+        case 'child':
+          return setChild(target, value, true)
+        default:
+          return setProperty(target, (document, tokens) => {
+            document.replace(tokens, value)
+          })
+      }
+    }
+  }
+
+  /**
+   * Return the JSON Patch (RFC 6902) operations that turn the tree into
+   * another AST. Nodes are compared with `getType()` and children are
+   * compared through `getChildren()`. Unless the tree has been modified,
+   * subtrees shared with the other AST (for example in immutable mode)
+   * are skipped.
+   *
+   * Paths are JSON Pointers into the JSON returned by `$().get(0)`.
+   *
+   * @param {object} other
+   * @returns {object[]}
+   */
+  $.diff = other => {
+    invariant(
+      _.isObjectLike(other) && !Array.isArray(other),
+      '"ast" must be an object'
+    )
+    const ops = []
+    const pristine = !history.done.length && !(journal && journal.length)
+    diffNodes(ROOT, other, [], ops, pristine)
+    return ops
+  }
+
+  /**
+   * Return the modifications that can be undone as JSON Patch (RFC 6902)
+   * operations that turn the original AST into `$().get(0)`
+   *
+   * @returns {object[]}
+   */
+  $.toPatch = () => {
+    invariant(!journal, 'toPatch() can not be called during a modification')
+    const changes = _.flatten(history.done)
+    revert(changes)
+    const ops = []
+    let next = 0
+    try {
+      for (const change of changes) {
+        next++
+        ops.push(...reapplyAsOperations(change))
+      }
+    } finally {
+      // Leave the tree as it was, even if an operation couldn't be created
+      reapply(changes.slice(next))
+    }
+    return ops
+  }
+
+  /**
+   * Apply JSON Patch (RFC 6902) operations to the tree as a single
+   * modification. If an operation fails, none of the operations are applied.
+   *
+   * @param {object[]} ops
+   * @returns {function} `$` or a new query function in immutable mode
+   */
+  $.applyPatch = ops => {
+    invariant(Array.isArray(ops), 'applyPatch() requires an array of operations')
+    return modify($, () => {
+      for (const op of ops) applyOperation(op, treeDocument)
+    })
+  }
+
+  /**
+   * Create an iterable iterator from a function that returns the next
+   * value or undefined once there are no more values
+   *
+   * @private
+   * @param {function} next
+   * @returns {Iterator}
+   */
+  const createIterator = next => {
+    let done = false
+    return {
+      next: () => {
+        const value = done ? undefined : next()
+        done = _.isUndefined(value)
+        return { value, done }
+      },
+      [Symbol.iterator] () {
+        return this
+      }
+    }
+  }
+
+  /**
+   * Return an iterator over the subtrees of nodes (including the nodes)
+   * in document order, which only wraps children when the traversal
+   * reaches their parent
+   *
+   * @private
+   * @param {NodeWrapper[]} nodes
+   * @returns {Iterator<NodeWrapper>}
+   */
+  const traverse = nodes => {
+    // Subtrees of nodes that are inside another subtree are only visited once
+    const seen = nodes.length > 1 ? new Set() : null
+    const stack = inDocumentOrder(nodes).reverse()
+    return createIterator(() => {
+      while (stack.length) {
+        const n = stack.pop()
+        if (seen) {
+          if (seen.has(n)) continue
+          seen.add(n)
+        }
+        const { children } = n
+        if (children) {
+          for (let i = children.length - 1; i >= 0; i--) stack.push(children[i])
+        }
+        return n
+      }
+    })
+  }
+
+  /**
+   * Return the nodes of a context as an array
+   *
+   * @private
+   * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+   * @returns {NodeWrapper[]}
+   */
+  const getContextNodes = context => {
+    const nodes = context instanceof QueryWrapper
+      ? context.nodes
+      : _.flatten([context || ROOT])
+    invariant(
+      _.every(nodes, NodeWrapper.isNodeWrapper),
+      'context must be a NodeWrapper or array of NodeWrappers'
+    )
+    return nodes
+  }
+
+  /**
+   * Lazy traversal functions that stop visiting nodes as soon as
+   * the result is known. The tree should not be modified while an
+   * iterator is being consumed.
+   *
+   * @namespace $.iter
+   */
+  $.iter = {
+    /**
+     * Return an iterator over the nodes that match a selector in the
+     * same order as `$(selector, context)`
+     *
+     * @memberof $.iter
+     * @param {Wrapper~Selector} selector
+     * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+     * @returns {Iterator<NodeWrapper>}
+     */
+    find: (selector, context) => {
+      const nodes = getContextNodes(context)
+      // Use the type index if a previous lookup already created it
+      if (typeIndex && isIndexedType(selector)) {
+        const found = inDocumentOrder(nodes).map(n => findByType(n, selector))
+        if (found.every(Boolean)) {
+          const iterator = _.uniq(_.flatten(found))[Symbol.iterator]()
+          return createIterator(() => iterator.next().value)
+        }
+      }
+      const match = getSelector(selector)
+      const iterator = traverse(nodes)
+      return createIterator(() => {
+        for (const n of iterator) {
+          if (match(n)) return n
+        }
+      })
+    },
+    /**
+     * Return the first node that matches a selector
+     *
+     * @memberof $.iter
+     * @param {Wrapper~Selector} selector
+     * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+     * @returns {NodeWrapper|undefined}
+     */
+    findFirst: (selector, context) =>
+      $.iter.find(selector, context).next().value,
+    /**
+     * Return true if any node matches a selector
+     *
+     * @memberof $.iter
+     * @param {Wrapper~Selector} selector
+     * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+     * @returns {boolean}
+     */
+    some: (selector, context) =>
+      !_.isUndefined($.iter.findFirst(selector, context)),
+    /**
+     * Return true if every node matches a selector
+     *
+     * @memberof $.iter
+     * @param {Wrapper~Selector} selector
+     * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+     * @returns {boolean}
+     */
+    every: (selector, context) => {
+      const match = getSelector(selector)
+      return !$.iter.some(n => !match(n), context)
+    }
+  }
+
+  /**
+   * Return true if a template is a capture such as `"$name"`
+   *
+   * @private
+   * @param {any} template
+   * @returns {boolean}
+   */
+  const isCapture = template => _.isString(template) && /^\$[^$]/.test(template)
+
+  /**
+   * Return true if a template is a rest capture such as `"$$name"`
+   *
+   * @private
+   * @param {any} template
+   * @returns {boolean}
+   */
+  const isRest = template => _.isString(template) && /^\$\$./.test(template)
+
+  /**
+   * Add a captured value to the captures. If the name has already been
+   * captured, the values must be the same.
+   *
+   * @private
+   * @param {object} captures
+   * @param {string} name
+   * @param {any} value
+   * @returns {object|null} the new captures or null if the values differ
+   */
+  const capture = (captures, name, value) => {
+    if (name === '_') return captures
+    if (_.has(captures, name)) {
+      const toComparable = v => NodeWrapper.isNodeWrapper(v)
+        ? v.toJSON()
+        : Array.isArray(v) ? v.map(toComparable) : v
+      return _.isEqual(toComparable(captures[name]), toComparable(value))
+        ? captures
+        : null
+    }
+    return Object.assign({}, captures, { [name]: value })
+  }
+
+  /**
+   * Match an array of templates (which can contain rest captures)
+   * against an array of items
+   *
+   * @private
+   * @param {Array} templates
+   * @param {Array} items
+   * @param {object} captures
+   * @param {function} matchItem
+   * @returns {object|null}
+   */
+  const matchSequence = (templates, items, captures, matchItem) => {
+    const match = (i, j, captures) => {
+      if (i === templates.length) return j === items.length ? captures : null
+      const template = templates[i]
+      if (isRest(template)) {
+        // Rest captures match as few items as possible
+        for (let k = j; k <= items.length; k++) {
+          const c = capture(captures, template.slice(2), items.slice(j, k))
+          const result = c && match(i + 1, k, c)
+          if (result) return result
+        }
+        return null
+      }
+      if (j === items.length) return null
+      const c = matchItem(template, items[j], captures)
+      return c && match(i + 1, j + 1, c)
+    }
+    return match(0, 0, captures)
+  }
+
+  /**
+   * Match a template against a property value
+   *
+   * @private
+   * @param {any} template
+   * @param {any} value
+   * @param {object} captures
+   * @returns {object|null}
+   */
+  const matchValue = (template, value, captures) => {
+    if (template === '_') return _.isUndefined(value) ? null : captures
+    if (isCapture(template)) {
+      return _.isUndefined(value)
+        ? null
+        : capture(captures, template.slice(1), value)
+    }
+    if (_.isRegExp(template)) {
+      return _.isString(value) && template.test(value) ? captures : null
+    }
+    if (_.isFunction(template)) return template(value) ? captures : null
+    if (Array.isArray(template)) {
+      return Array.isArray(value)
+        ? matchSequence(template, value, captures, matchValue)
+        : null
+    }
+    if (_.isPlainObject(template)) {
+      if (!_.isObjectLike(value)) return null
+      return Object.keys(template).reduce(
+        (c, key) => c && matchValue(template[key], value[key], c),
+        captures
+      )
+    }
+    return _.isEqual(template, value) ? captures : null
+  }
+
+  /**
+   * Match a template against a node
+   *
+   * @private
+   * @param {object|Wrapper~Selector} template
+   * @param {NodeWrapper} [n]
+   * @param {object} captures
+   * @returns {object|null}
+   */
+  const matchNode = (template, n, captures) => {
+    if (!n) return null
+    if (template === '_') return captures
+    if (isCapture(template)) return capture(captures, template.slice(1), n)
+    invariant(!isRest(template), 'rest captures can only be used in arrays')
+    if (!_.isPlainObject(template)) {
+      const selector = getSelector(template, null)
+      invariant(selector, `Invalid template "${template}"`)
+      return selector(n) ? captures : null
+    }
+    let c = captures
+    for (const key of Object.keys(template)) {
+      if (!c) return null
+      if (key === '$capture') continue
+      const value = template[key]
+      const group = getChildGroup(n, key, value)
+      if (!group) {
+        c = matchValue(value, getAttribute(n.node, key), c)
+      } else if (!group.array) {
+        c = matchNode(value, group.children[0], c)
+      } else {
+        c = Array.isArray(value)
+          ? matchSequence(value, group.children, c, matchNode)
+          : matchValue(value, group.children, c)
+      }
+    }
+    return c && template.$capture ? capture(c, template.$capture, n) : c
+  }
+
+  /**
+   * A template is a partial node where each key is compared with the
+   * children held by that key or with `getAttribute()`. Children can be
+   * matched with nested templates or selectors and properties with values,
+   * regular expressions or functions.
+   *
+   * - `"_"` matches any node or value
+   * - `"$name"` matches any node or value and captures it as `name`
+   * - `"$$name"` in an array matches any number of items and captures them
+   * - `$capture: "name"` captures the node matched by a template
+   *
+   * A name that is used more than once must match the same value every
+   * time, except for `_` which is never captured.
+   *
+   * @typedef {object} QueryWrapper~Template
+   */
+
+  /**
+   * A node that matched a template
+   *
+   * @typedef {object} QueryWrapper~Match
+   * @property {NodeWrapper} node
+   * @property {object} captures the captured NodeWrappers and values by name
+   */
+
+  /**
+   * Return a selector that matches nodes against a template
+   *
+   * @param {QueryWrapper~Template} template
+   * @returns {function}
+   */
+  $.pattern = template => n => Boolean(matchNode(template, n, {}))
+
+  /**
+   * Return the nodes that match a template (in the same order as `find()`)
+   * along with their captures
+   *
+   * @param {QueryWrapper~Template} template
+   * @param {NodeWrapper|NodeWrapper[]|QueryWrapper} [context]
+   * @returns {QueryWrapper~Match[]}
+   */
+  $.match = (template, context) => {
+    const matches = []
+    for (const node of traverse(getContextNodes(context))) {
+      const captures = matchNode(template, node, {})
+      if (captures) matches.push({ node, captures })
+    }
+    return matches
+  }
+
+  /**
+   * Return true if a node is still part of the tree
+   *
+   * @private
+   * @param {NodeWrapper} n
+   * @returns {boolean}
+   */
+  const isAttached = n => {
+    for (; n.parent; n = n.parent) {
+      if (!n.parent.children || !n.parent.children.includes(n)) return false
+    }
+    return n === ROOT
+  }
+
+  /**
+   * A rewrite rule. `rewrite()` is called with each node that matches the
+   * selector and can either modify the tree or return new content that
+   * replaces the node (like `replace()`). A rule fires when it changes the tree.
+   *
+   * @typedef {object} QueryWrapper~Rule
+   * @property {string} [name] the name of the rule in the report
+   * @property {Wrapper~Selector} selector
+   * @property {function} rewrite
+   */
+
+  /**
+   * The result of `$.rewrite()`
+   *
+   * @typedef {object} QueryWrapper~RewriteReport
+   * @property {boolean} fixpoint true if the rules stopped changing the tree
+   * @property {boolean} cycle true if the rules returned the tree to a previous state
+   * @property {number} iterations the number of times the rules were applied
+   * @property {object[]} applied `{ rule, iteration, path, node }` for each
+   *   time a rule fired, where `path` is the JSON Pointer (or the index path,
+   *   like the `path` of a diagnostic) of the node before it was rewritten
+   * @property {function} $ the QueryWrapper for the result (a new one in
+   *   immutable mode)
+   */
+
+  /**
+   * Apply rules in order to every matching node of the tree until the tree
+   * stops changing. The run stops early if the rules keep returning the tree
+   * to a previous state or after `maxIterations` iterations. The run is a
+   * single modification.
+   *
+   * @param {QueryWrapper~Rule[]} rules
+   * @param {object} [settings]
+   * @param {number} [settings.maxIterations=100]
+   * @returns {QueryWrapper~RewriteReport}
+   */
+  $.rewrite = (rules, settings) => {
+    invariant(Array.isArray(rules), 'rules must be an array')
+    rules.forEach((rule, i) => {
+      invariant(
+        _.isPlainObject(rule) && getSelector(rule.selector, null) &&
+          _.isFunction(rule.rewrite),
+        `rule "${_.get(rule, 'name', i)}" must have a selector and a rewrite function`
+      )
+    })
+    const { maxIterations } = _.defaults({}, settings, { maxIterations: 100 })
+    invariant(
+      Number.isInteger(maxIterations) && maxIterations > 0,
+      'maxIterations must be a positive integer'
+    )
+    const report = {
+      fixpoint: false,
+      cycle: false,
+      iterations: 0,
+      applied: []
+    }
+    const fingerprint = () => JSON.stringify(ROOT.toJSON())
+    report.$ = modify($, () => {
+      const seen = new Map([[fingerprint(), 0]])
+      while (report.iterations < maxIterations) {
+        const iteration = ++report.iterations
+        let fired = false
+        rules.forEach((rule, i) => {
+          for (const n of $(rule.selector).nodes) {
+            if (!isAttached(n)) continue
+            const size = journal.length
+            const content = rule.rewrite(n)
+            if (!_.isUndefined(content)) $(n).replace(() => content)
+            if (journal.length === size) continue
+            fired = true
+            // Only build the path of nodes that were rewritten, as they were
+            // before the rule fired
+            const changes = journal.slice(size)
+            const active = journal
+            // Going back and forth isn't a change of its own
+            journal = null
+            revert(changes)
+            const path = getNodePath(n)
+            reapply(changes)
+            journal = active
+            report.applied.push({ rule: _.get(rule, 'name', i), iteration, path, node: n })
+          }
+        })
+        if (!fired) {
+          report.fixpoint = true
+          return
+        }
+        const state = fingerprint()
+        if (seen.has(state)) {
+          // Rules that fire without changing the result have reached a fixpoint
+          if (seen.get(state) === iteration - 1) report.fixpoint = true
+          else report.cycle = true
+          return
+        }
+        seen.set(state, iteration)
+      }
+    })
+    return report
+  }
+
+  /**
+   * A lint rule. `check()` is called with each node that matches the selector
+   * and a `report()` function that adds a diagnostic. `report()` takes a
+   * message or an object with a `message` and optionally a `node` (by default
+   * the checked node), a `severity`, a `location` (by default the location of
+   * the node) and a `fix` function that corrects the problem by modifying
+   * the tree.
+   *
+   * @typedef {object} QueryWrapper~LintRule
+   * @property {string} id
+   * @property {Wrapper~Selector} selector
+   * @property {string} [severity="error"] error, warning or info
+   * @property {function} check
+   */
+
+  /**
+   * A problem reported by a lint rule
+   *
+   * @typedef {object} QueryWrapper~Diagnostic
+   * @property {string} ruleId
+   * @property {string} severity
+   * @property {string} message
+   * @property {string|number[]} path the JSON Pointer of the node or its
+   *   index path if the node has no JSON Pointer
+   * @property {NodeWrapper} node
+   * @property {QueryWrapper~Location} [location]
+   * @property {function} [fix]
+   */
+
+  /**
+   * Check the tree with lint rules. Every node is visited once (in the
+   * same order as `find()`) and checked by the rules that match it.
+   *
+   * @param {QueryWrapper~LintRule[]} rules
+   * @param {object} [settings]
+   * @param {object} [settings.severity] a severity (or "off") by rule id
+   * @returns {QueryWrapper~Diagnostic[]}
+   */
+  $.lint = (rules, settings) => {
+    invariant(Array.isArray(rules), 'rules must be an array')
+    const overrides = _.get(settings, 'severity', {})
+    const checks = rules.map(rule => {
+      invariant(
+        _.isPlainObject(rule) && _.isString(rule.id),
+        'a lint rule must have an id'
+      )
+      const selector = getSelector(rule.selector, null)
+      invariant(
+        selector && _.isFunction(rule.check),
+        `lint rule "${rule.id}" must have a selector and a check function`
+      )
+      const severity = _.has(overrides, rule.id)
+        ? overrides[rule.id]
+        : rule.severity || 'error'
+      invariant(
+        severity === 'off' || SEVERITIES.includes(severity),
+        `lint rule "${rule.id}" has an invalid severity "${severity}"`
+      )
+      return { rule, selector, severity }
+    }).filter(({ severity }) => severity !== 'off')
+    const diagnostics = []
+    for (const n of traverse([ROOT])) {
+      for (const { rule, selector, severity } of checks) {
+        if (!selector(n)) continue
+        rule.check(n, problem => {
+          if (_.isString(problem)) problem = { message: problem }
+          invariant(
+            _.isPlainObject(problem) && _.isString(problem.message),
+            `lint rule "${rule.id}" must report a message`
+          )
+          const node = problem.node || n
+          const diagnostic = {
+            ruleId: rule.id,
+            severity: problem.severity || severity,
+            message: problem.message,
+            path: getNodePath(node),
+            node
+          }
+          const location = _.isUndefined(problem.location)
+            ? getLocation(node.node)
+            : problem.location
+          if (location) diagnostic.location = location
+          if (problem.fix) diagnostic.fix = problem.fix
+          diagnostics.push(diagnostic)
+        })
+      }
+    }
+    return diagnostics
+  }
+
+  /**
+   * Apply the fixes of diagnostics as a single modification. Fixes for
+   * nodes that were removed by a previous fix are skipped.
+   *
+   * @param {QueryWrapper~Diagnostic[]} diagnostics
+   * @returns {function} `$` (or a new `$` in immutable mode)
+   */
+  $.fix = diagnostics =>
+    modify($, () => {
+      for (const diagnostic of diagnostics) {
+        if (diagnostic.fix && isAttached(diagnostic.node)) diagnostic.fix()
+      }
+    })
+
+  /**
+   * A position in the source
+   *
+   * @typedef {object} QueryWrapper~Position
+   * @property {number} line starts at 1
+   * @property {number} column starts at 0
+   */
+
+  /**
+   * Where a node is in the source
+   *
+   * @typedef {object} QueryWrapper~Location
+   * @property {QueryWrapper~Position} start
+   * @property {QueryWrapper~Position} end the position after the node
+   */
+
+  /**
+   * Compare two positions
+   *
+   * @private
+   * @param {QueryWrapper~Position} a
+   * @param {QueryWrapper~Position} b
+   * @returns {number} a negative number if `a` is before `b`, a positive
+   *   number if it's after or 0 if they are the same
+   */
+  const comparePositions = (a, b) => a.line - b.line || a.column - b.column
+
+  /**
+   * Throw an error if a value is not a position
+   *
+   * @private
+   * @param {any} position
+   */
+  const assertPosition = position => {
+    invariant(
+      _.isObjectLike(position) &&
+        Number.isInteger(position.line) && Number.isInteger(position.column),
+      'a position must have a line and a column'
+    )
+  }
+
+  /**
+   * Return the innermost node at a position in the source
+   *
+   * @param {number} line starts at 1
+   * @param {number} column starts at 0
+   * @returns {QueryWrapper}
+   */
+  $.nodeAt = (line, column) => {
+    const position = { line, column }
+    assertPosition(position)
+    const contains = n => {
+      const location = getLocation(n.node)
+      return location
+        ? comparePositions(location.start, position) <= 0 &&
+          comparePositions(position, location.end) < 0
+        : null
+    }
+    // Nodes without a location are searched but never returned
+    const search = n => {
+      for (const child of n.children || []) {
+        const match = contains(child)
+        if (match === false) continue
+        const found = search(child)
+        if (found) return found
+        if (match) return child
+      }
+      return null
+    }
+    const n = search(ROOT) || (contains(ROOT) ? ROOT : null)
+    return new QueryWrapper(n ? [n] : [])
+  }
+
+  /**
+   * Return the nodes that are located between two positions in the source
+   * (in the same order as `find()`)
+   *
+   * @param {QueryWrapper~Position} start
+   * @param {QueryWrapper~Position} end
+   * @returns {QueryWrapper}
+   */
+  $.nodesInRange = (start, end) => {
+    assertPosition(start)
+    assertPosition(end)
+    const nodes = []
+    for (const n of traverse([ROOT])) {
+      const location = getLocation(n.node)
+      if (
+        location &&
+        comparePositions(start, location.start) <= 0 &&
+        comparePositions(location.end, end) <= 0
+      ) nodes.push(n)
+    }
+    return new QueryWrapper(nodes)
+  }
+
+  /**
+   * Return the argument as a QueryWrapper
+   *
+   * @private
+   * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+   * @returns {QueryWrapper}
+   */
+  const toQueryWrapper = target =>
+    target instanceof QueryWrapper ? target : $(target)
+
+  /**
+   * Return a function that tests if a node matches a selector or is one
+   * of the nodes of a target
+   *
+   * @private
+   * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+   * @returns {function}
+   */
+  const getMatcher = target => {
+    if (_.isNil(target)) return n => false
+    const selector = getSelector(target, null)
+    if (selector) return selector
+    const nodes = new Set(toQueryWrapper(target).nodes)
+    return n => nodes.has(n)
+  }
+
+  /**
+   * Wrap a {@link NodeWrapper} with chainable traversal/modification functions
+   */
+  class QueryWrapper {
+    /**
+     * Create a new QueryWrapper
+     *
+     * @private
+     * @param {NodeWrapper[]} nodes
+     */
+    constructor (nodes) {
+      this.nodes = nodes
+    }
+
+    /**
+     * Iterate over the NodeWrappers in the set of matched nodes
+     *
+     * @returns {Iterator<NodeWrapper>}
+     */
+    [Symbol.iterator] () {
+      return this.nodes[Symbol.iterator]()
+    }
+
+    /**
+     * Return a new wrapper with the siblings that a function picks for
+     * each node (from the children of its parent and the index of the node),
+     * filtered by a selector, without duplicates and in document order
+     *
+     * @private
+     * @param {function} pick
+     * @param {Wrapper~Selector} [selector]
+     * @returns {QueryWrapper}
+     */
+    $siblings (pick, selector) {
+      const nodes = _.flatMap(this.nodes, n => {
+        const siblings = n.parent && n.parent.children
+        const index = _.indexOf(siblings, n)
+        return index === -1 ? [] : pick(siblings, index)
+      })
+      return this.$filter(inDocumentOrder(nodes), getSelector(selector))
+    }
+
+    /**
+     * Return a new wrapper filtered by a selector
+     *
+     * @private
+     * @param {NodeWrapper[]} nodes
+     * @param {function} selector
+     * @returns {QueryWrapper}
+     */
+    $filter (nodes, selector) {
+      nodes = nodes.filter(selector)
+      return $(nodes)
+    }
+
+    /**
+     * Return the wrapper as a JSON node or array of JSON nodes
+     *
+     * @param {number} [index]
+     * @returns {object|object[]}
+     */
+    get (index) {
+      return _.isInteger(index)
+        ? this.nodes[index].toJSON()
+        : this.nodes.map(n => n.toJSON())
+    }
+
+    /**
+     * Return the number of nodes in the wrapper
+     *
+     * @returns {number}
+     */
+    length () {
+      return this.nodes.length
+    }
+
+    /**
+     * Search for a given node in the set of matched nodes.
+     *
+     * If no argument is passed, the return value is an integer indicating
+     * the position of the first node within the Wrapper relative
+     * to its sibling nodes.
+     *
+     * If called on a collection of nodes and a NodeWrapper is passed in, the return value
+     * is an integer indicating the position of the passed NodeWrapper relative
+     * to the original collection.
+     *
+     * If a selector is passed as an argument, the return value is an integer
+     * indicating the position of the first node within the Wrapper relative
+     * to the nodes matched by the selector.
+     *
+     * If the selctor doesn't match any nodes, it will return -1.
+     *
+     * @param {NodeWrapper|Wrapper~Selector} [node]
+     * @returns {number}
+     */
+    index (node) {
+      if (!node) {
+        const n = this.nodes[0]
+        if (n) {
+          const p = n.parent
+          if (p && p.hasChildren) return p.children.indexOf(n)
+        }
+        return -1
+      }
+      if (NodeWrapper.isNodeWrapper(node)) {
+        return this.nodes.indexOf(node)
+      }
+      const n = this.nodes[0]
+      const p = n.parent
+      if (!p.hasChildren) return -1
+      const selector = getSelector(node)
+      return this.$filter(p.children, selector).index(this.nodes[0])
+    }
+
+    /**
+     * Return where the first node in the set of matched nodes is in the
+     * source, or null if it's unknown
+     *
+     * @returns {QueryWrapper~Location|null|undefined}
+     */
+    location () {
+      const n = this.nodes[0]
+      return n ? getLocation(n.node) : undefined
+    }
+
+    /**
+     * Return the path from the root to the first node in the set of matched
+     * nodes that can be passed to `$.at()`. By default, the path is the index
+     * of the node and each ancestor in the children of their parent. With
+     * the "pointer" format, the path is the JSON Pointer of the node in
+     * `$().get(0)`, which uses the named fields of adapters like `estree`.
+     *
+     * @param {string} [format="index"] "index" or "pointer"
+     * @returns {number[]|string|undefined}
+     */
+    path (format) {
+      invariant(
+        _.isUndefined(format) || format === 'index' || format === 'pointer',
+        'format must be "index" or "pointer"'
+      )
+      const n = this.nodes[0]
+      if (!n) return undefined
+      return format === 'pointer'
+        ? formatPointer(locate(n).tokens)
+        : getIndexPath(n)
+    }
+
+    /**
+     * Insert content after each node in the set of matched nodes
+     *
+     * @param {...(object|object[]|NodeWrapper|QueryWrapper)} content
+     * @returns {QueryWrapper}
+     */
+    after (...content) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          const p = n.parent
+          if (!p || !p.hasChildren) continue
+          const i = p.children.indexOf(n)
+          if (i >= 0) {
+            spliceChildren(p, i + 1, 0, createChildren(content, p, n.field))
+          }
+        }
+      })
+    }
+
+    /**
+     * Insert content before each node in the set of matched nodes
+     *
+     * @param {...(object|object[]|NodeWrapper|QueryWrapper)} content
+     * @returns {QueryWrapper}
+     */
+    before (...content) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          const p = n.parent
+          if (!p || !p.hasChildren) continue
+          const i = p.children.indexOf(n)
+          if (i >= 0) spliceChildren(p, i, 0, createChildren(content, p, n.field))
+        }
+      })
+    }
+
+    /**
+     * Insert content at the end of the children of each node in the set
+     * of matched nodes
+     *
+     * @param {...(object|object[]|NodeWrapper|QueryWrapper)} content
+     * @returns {QueryWrapper}
+     */
+    append (...content) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          if (!n.hasChildren) continue
+          const last = _.last(n.children)
+          const children = createChildren(content, n, last && last.field)
+          spliceChildren(n, n.children.length, 0, children)
+        }
+      })
+    }
+
+    /**
+     * Insert content at the beginning of the children of each node in the set
+     * of matched nodes
+     *
+     * @param {...(object|object[]|NodeWrapper|QueryWrapper)} content
+     * @returns {QueryWrapper}
+     */
+    prepend (...content) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          if (!n.hasChildren) continue
+          const first = _.first(n.children)
+          spliceChildren(n, 0, 0, createChildren(content, n, first && first.field))
+        }
+      })
+    }
+
+    /**
+     * Insert a copy of the set of matched nodes at the end of the children
+     * of each target node
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    appendTo (target) {
+      return modify(this, () => toQueryWrapper(target).append(this))
+    }
+
+    /**
+     * Insert a copy of the set of matched nodes at the beginning of the
+     * children of each target node
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    prependTo (target) {
+      return modify(this, () => toQueryWrapper(target).prepend(this))
+    }
+
     /**
-     * Create a new QueryWrapper
+     * Remove the set of matched nodes from their parents. The removed nodes
+     * are detached and can be inserted somewhere else.
      *
-     * @private
-     * @param {NodeWrapper[]} nodes
+     * @returns {QueryWrapper}
      */
-    constructor (nodes) {
-      this.nodes = nodes
+    remove () {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          const p = n.parent
+          if (!p || !p.hasChildren) continue
+          const i = p.children.indexOf(n)
+          if (i >= 0) spliceChildren(p, i, 1)
+        }
+      })
     }
 
     /**
-     * Return a new wrapper filtered by a selector
+     * Detach the set of matched nodes from their parents so they can be
+     * inserted somewhere else
      *
-     * @private
-     * @param {NodeWrapper[]} nodes
-     * @param {function} selector
      * @returns {QueryWrapper}
      */
-    $filter (nodes, selector) {
-      nodes = nodes.filter(selector)
-      return $(nodes)
+    detach () {
+      return this.remove()
     }
 
     /**
-     * Return the wrapper as a JSON node or array of JSON nodes
+     * Move the set of matched nodes relative to the first target node
      *
-     * @param {number} [index]
-     * @returns {object|object[]}
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @param {string} [position=append] one of "append", "prepend", "before"
+     * or "after"
+     * @returns {QueryWrapper}
      */
-    get (index) {
-      return _.isInteger(index)
-        ? this.nodes[index].toJSON()
-        : this.nodes.map(n => n.toJSON())
+    moveTo (target, position) {
+      position = position || 'append'
+      invariant(
+        ['append', 'prepend', 'before', 'after'].includes(position),
+        `moveTo() got an invalid position "${position}"`
+      )
+      const t = toQueryWrapper(target).nodes[0]
+      invariant(t, 'moveTo() requires a target')
+      invariant(
+        !this.nodes.some(n => contains(n, t)),
+        'a node can not be moved into itself'
+      )
+      invariant(
+        t.parent || position === 'append' || position === 'prepend',
+        `moveTo() can not insert a node ${position} the root node`
+      )
+      return modify(this, () => $(t)[position](this.detach()))
     }
 
     /**
-     * Return the number of nodes in the wrapper
+     * Create a deep copy of the set of matched nodes. The copies are detached
+     * and can be inserted into the tree.
      *
-     * @returns {number}
+     * @returns {QueryWrapper}
      */
-    length () {
-      return this.nodes.length
+    clone () {
+      return $(this.nodes.map(n => new NodeWrapper(n.toJSON())))
     }
 
     /**
-     * Search for a given node in the set of matched nodes.
-     *
-     * If no argument is passed, the return value is an integer indicating
-     * the position of the first node within the Wrapper relative
-     * to its sibling nodes.
-     *
-     * If called on a collection of nodes and a NodeWrapper is passed in, the return value
-     * is an integer indicating the position of the passed NodeWrapper relative
-     * to the original collection.
-     *
-     * If a selector is passed as an argument, the return value is an integer
-     * indicating the position of the first node within the Wrapper relative
-     * to the nodes matched by the selector.
-     *
-     * If the selctor doesn't match any nodes, it will return -1.
+     * Remove all children of each node in the set of matched nodes
      *
-     * @param {NodeWrapper|Wrapper~Selector} [node]
-     * @returns {number}
+     * @returns {QueryWrapper}
      */
-    index (node) {
-      if (!node) {
-        const n = this.nodes[0]
-        if (n) {
-          const p = n.parent
-          if (p && p.hasChildren) return p.children.indexOf(n)
+    empty () {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          if (n.hasChildren) spliceChildren(n, 0, n.children.length)
         }
-        return -1
-      }
-      if (NodeWrapper.isNodeWrapper(node)) {
-        return this.nodes.indexOf(node)
-      }
-      const n = this.nodes[0]
-      const p = n.parent
-      if (!p.hasChildren) return -1
-      const selector = getSelector(node)
-      return this.$filter(p.children, selector).index(this.nodes[0])
+      })
     }
 
     /**
-     * Insert a node after each node in the set of matched nodes
+     * Replace each node in the set of matched nodes by returning new content
+     * for each node that will be replaced
      *
-     * @param {object} node
+     * @param {function} fn
      * @returns {QueryWrapper}
      */
-    after (node) {
-      for (const n of this.nodes) {
-        const p = n.parent
-        if (!p.hasChildren) continue
-        const i = $(n).index()
-        if (i >= 0) p.children.splice(i + 1, 0, NodeWrapper.create(node, p))
-      }
-      return this
+    replace (fn) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          const p = n.parent
+          if (!p || !p.hasChildren) continue
+          const i = p.children.indexOf(n)
+          if (i >= 0) spliceChildren(p, i, 1, createChildren(fn(n), p, n.field))
+        }
+      })
     }
 
     /**
-     * Insert a node before each node in the set of matched nodes
+     * Replace each node in the set of matched nodes with the provided content
      *
-     * @param {object} node
+     * @param {...(object|object[]|NodeWrapper|QueryWrapper)} content
      * @returns {QueryWrapper}
      */
-    before (node) {
-      for (const n of this.nodes) {
-        const p = n.parent
-        if (!p.hasChildren) continue
-        const i = p.children.indexOf(n)
-        if (i >= 0) p.children.splice(i, 0, NodeWrapper.create(node, p))
-      }
-      return this
+    replaceWith (...content) {
+      return this.replace(() => content)
     }
 
     /**
-     * Remove the set of matched nodes
+     * Wrap each node in the set of matched nodes with a copy of the
+     * provided node. The matched node is added to the end of its children.
      *
+     * @param {object|NodeWrapper} node
      * @returns {QueryWrapper}
      */
-    remove () {
-      for (const n of this.nodes) {
-        const p = n.parent
-        if (!p.hasChildren) continue
-        const i = p.children.indexOf(n)
-        if (i >= 0) p.children.splice(i, 1)
-      }
-      return this
+    wrap (node) {
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          const p = n.parent
+          if (!p || !p.hasChildren) continue
+          const i = p.children.indexOf(n)
+          if (i < 0) continue
+          const wrapper = createChild(node, p, n.field)
+          invariant(wrapper.hasChildren, 'wrap() requires a node with children')
+          spliceChildren(p, i, 1, [wrapper])
+          const last = _.last(wrapper.children)
+          spliceChildren(wrapper, wrapper.children.length, 0, [
+            createChild(n, wrapper, last && last.field)
+          ])
+        }
+      })
     }
 
     /**
-     * Replace each node in the set of matched nodes by returning a new node
-     * for each node that will be replaced
+     * Remove the parent of each node in the set of matched nodes, leaving
+     * the children of the parent in its place
      *
-     * @param {function} fn
      * @returns {QueryWrapper}
      */
-    replace (fn) {
-      for (const n of this.nodes) {
-        const p = n.parent
-        if (!p.hasChildren) continue
-        const i = p.children.indexOf(n)
-        if (i >= 0) p.children.splice(i, 1, NodeWrapper.create(fn(n), p))
-      }
-      return this
+    unwrap () {
+      return modify(this, () => {
+        const parents = _.uniq(this.nodes.map(n => n.parent))
+        for (const p of parents) {
+          const gp = p && p.parent
+          if (!gp || !gp.hasChildren) continue
+          const i = gp.children.indexOf(p)
+          if (i < 0) continue
+          const children = spliceChildren(p, 0, p.children.length)
+          spliceChildren(gp, i, 1, createChildren(children, gp, p.field))
+        }
+      })
     }
 
     /**
@@ -392,6 +3012,192 @@ module.exports = (ast, options) => {
       return this.nodes.reduce(fn, acc)
     }
 
+    /**
+     * Walk the descendants of each node in the set of matched nodes
+     * (including the node itself) in document order.
+     *
+     * The visitor can have `enter` and `exit` functions that are called for
+     * every node as well as functions (or objects with `enter` and `exit`
+     * functions) keyed by a type that are only called for nodes of that type.
+     *
+     * Each function is called with the {@link NodeWrapper} and a
+     * {@link QueryWrapper~WalkController} that can be used to skip the
+     * children of the node, stop the walk, or replace / remove the node.
+     * Changes made to the children of a node during the walk are picked up
+     * as the walk continues.
+     *
+     * @example
+     * $().walk({
+     *   enter (n, ctl) { if (n.node.type === 'comment') ctl.remove() },
+     *   variable (n, ctl) { ctl.replace({ type: 'variable', value: 'x' }) }
+     * })
+     *
+     * @param {object} visitor
+     * @returns {QueryWrapper}
+     */
+    walk (visitor) {
+      invariant(_.isObjectLike(visitor), 'walk() requires a visitor object')
+      let stopped = false
+      const getVisitors = (n, key) => {
+        const typeVisitor = visitor[getType(n.node)]
+        return [
+          visitor[key],
+          _.isFunction(typeVisitor)
+            ? key === 'enter' && typeVisitor
+            : _.get(typeVisitor, key)
+        ].filter(_.isFunction)
+      }
+      const visit = n => {
+        let current = n
+        let skipped = false
+        let removed = false
+        /**
+         * @typedef {object} QueryWrapper~WalkController
+         * @property {function} skip don't visit the children of the node
+         * @property {function} stop stop the walk
+         * @property {function} replace replace the node with a new node,
+         * the children of the new node will be visited
+         * @property {function} remove remove the node
+         */
+        const ctl = {
+          skip: () => {
+            skipped = true
+          },
+          stop: () => {
+            stopped = true
+          },
+          replace: node => {
+            invariant(!removed, 'replace() called after remove()')
+            invariant(current.parent, 'the root node can not be replaced')
+            const p = current.parent
+            const i = p.children.indexOf(current)
+            invariant(i >= 0, 'the node is no longer a child of its parent')
+            current = createChild(node, p, current.field)
+            spliceChildren(p, i, 1, [current])
+          },
+          remove: () => {
+            invariant(current.parent, 'the root node can not be removed')
+            $(current).remove()
+            removed = true
+          }
+        }
+        const call = key => {
+          for (const fn of getVisitors(current, key)) {
+            if (stopped || removed) return
+            fn(current, ctl)
+          }
+        }
+        call('enter')
+        if (!stopped && !removed && !skipped && current.hasChildren) {
+          const children = current.children
+          let i = 0
+          while (i < children.length) {
+            const next = children[i + 1]
+            const child = visit(children[i])
+            if (stopped) break
+            // Continue after the visited node or, if it was removed,
+            // with the node that took its place
+            const j = child ? children.indexOf(child) : -1
+            if (j >= 0) {
+              i = j + 1
+            } else if (child) {
+              // The node was replaced or removed without the controller,
+              // so continue with the node that followed it
+              const k = next ? children.indexOf(next) : -1
+              i = k >= 0 ? k : i + 1
+            }
+          }
+        }
+        if (!stopped && !removed) call('exit')
+        return removed ? null : current
+      }
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          if (stopped) break
+          visit(n)
+        }
+      })
+    }
+
+    /**
+     * Call a function for each node in the set of matched nodes. Returning
+     * false from the function stops the iteration.
+     *
+     * @param {function} fn called with each NodeWrapper and its index
+     * @returns {QueryWrapper}
+     */
+    each (fn) {
+      invariant(_.isFunction(fn), 'each() requires a function')
+      for (let i = 0; i < this.nodes.length; i++) {
+        if (fn(this.nodes[i], i) === false) break
+      }
+      return this
+    }
+
+    /**
+     * Return true if at least one node in the set of matched nodes matches
+     * the selector
+     *
+     * @param {Wrapper~Selector} selector
+     * @returns {boolean}
+     */
+    some (selector) {
+      return this.nodes.some(getSelector(selector))
+    }
+
+    /**
+     * Return true if every node in the set of matched nodes matches
+     * the selector
+     *
+     * @param {Wrapper~Selector} selector
+     * @returns {boolean}
+     */
+    every (selector) {
+      return this.nodes.every(getSelector(selector))
+    }
+
+    /**
+     * Return true if at least one node in the set of matched nodes matches
+     * the selector or is one of the target nodes
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {boolean}
+     */
+    is (target) {
+      return this.nodes.some(getMatcher(target))
+    }
+
+    /**
+     * Return an array of the NodeWrappers in the set of matched nodes
+     *
+     * @returns {NodeWrapper[]}
+     */
+    toArray () {
+      return this.nodes.slice()
+    }
+
+    /**
+     * Sort the set of matched nodes in document order, or with a compare
+     * function like `Array#sort()`
+     *
+     * @param {function} [compare] called with two NodeWrappers
+     * @returns {QueryWrapper}
+     */
+    sort (compare) {
+      if (_.isUndefined(compare)) return $(inDocumentOrder(this.nodes))
+      invariant(_.isFunction(compare), 'sort() requires a compare function')
+      return $(this.nodes.slice().sort(compare))
+    }
+
+    /**
+     * Sort the set of matched nodes in document order
+     *
+     * @returns {QueryWrapper}
+     */
+    inDocumentOrder () {
+      return this.sort()
+    }
+
     /**
      * Combine the nodes of two QueryWrappers
      *
@@ -403,7 +3209,62 @@ module.exports = (ast, options) => {
         wrapper instanceof QueryWrapper,
         'concat requires a QueryWrapper'
       )
-      return $(this.nodes.concat(wrapper.nodes))
+      return $(inDocumentOrder(this.nodes.concat(wrapper.nodes)))
+    }
+
+    /**
+     * Add nodes to the set of matched nodes. A selector adds the nodes it
+     * matches in the whole tree.
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    add (target) {
+      return $(inDocumentOrder(this.nodes.concat(toQueryWrapper(target).nodes)))
+    }
+
+    /**
+     * Remove the nodes that match the selector or are one of the target
+     * nodes from the set of matched nodes
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    not (target) {
+      const matches = getMatcher(target)
+      return this.$filter(this.nodes, n => !matches(n))
+    }
+
+    /**
+     * Reduce the set of matched nodes to those that match the selector
+     * or are one of the target nodes
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    intersect (target) {
+      return this.$filter(this.nodes, getMatcher(target))
+    }
+
+    /**
+     * Same as `not()`
+     *
+     * @param {Wrapper~Selector|NodeWrapper|NodeWrapper[]|QueryWrapper} target
+     * @returns {QueryWrapper}
+     */
+    difference (target) {
+      return this.not(target)
+    }
+
+    /**
+     * Reduce the set of matched nodes to a range of indexes
+     *
+     * @param {number} [start]
+     * @param {number} [end]
+     * @returns {QueryWrapper}
+     */
+    slice (start, end) {
+      return $(this.nodes.slice(start, end))
     }
 
     /**
@@ -416,7 +3277,7 @@ module.exports = (ast, options) => {
     children (selector) {
       selector = getSelector(selector)
       const nodes = _.flatMap(this.nodes, n => (n.hasChildren ? n.children : []))
-      return this.$filter(nodes, selector)
+      return this.$filter(inDocumentOrder(nodes), selector)
     }
 
     /**
@@ -438,7 +3299,7 @@ module.exports = (ast, options) => {
           return parent || []
         })
       )
-      return $(nodes)
+      return $(inDocumentOrder(nodes))
     }
 
     /**
@@ -460,12 +3321,18 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     find (selector) {
+      const contexts = inDocumentOrder(this.nodes)
+      if (isIndexedType(selector)) {
+        const found = contexts.map(n => findByType(n, selector))
+        if (found.every(Boolean)) {
+          return $(found.length === 1 ? found[0] : _.flatten(found))
+        }
+      }
       selector = getSelector(selector)
-      const nodes = _.uniq(
-        _.flatMap(this.nodes, n =>
-          n.reduce((a, n) => (selector(n) ? a.concat(n) : a), [])
-        )
-      )
+      const nodes = []
+      for (const n of traverse(contexts)) {
+        if (selector(n)) nodes.push(n)
+      }
       return $(nodes)
     }
 
@@ -497,10 +3364,10 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     has (selector) {
-      const filter = n =>
-        $(n)
-          .find(selector)
-          .length() > 0
+      const filter = n => {
+        const found = isIndexedType(selector) && findByType(n, selector)
+        return found ? found.length > 0 : $(n).find(selector).length() > 0
+      }
       return this.$filter(this.nodes, filter)
     }
 
@@ -551,14 +3418,7 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     next (selector) {
-      selector = getSelector(selector)
-      const nodes = _.flatMap(this.nodes, n => {
-        const index = this.index()
-        return index >= 0 && index < n.parent.children.length - 1
-          ? n.parent.children[index + 1]
-          : []
-      })
-      return this.$filter(nodes, selector)
+      return this.$siblings((siblings, i) => siblings.slice(i + 1, i + 2), selector)
     }
 
     /**
@@ -569,14 +3429,23 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     nextAll (selector) {
-      selector = getSelector(selector)
-      const nodes = _.flatMap(this.nodes, n => {
-        const index = this.index()
-        return index >= 0 && index < n.parent.children.length - 1
-          ? _.drop(n.parent.children, index + 1)
-          : []
+      return this.$siblings((siblings, i) => siblings.slice(i + 1), selector)
+    }
+
+    /**
+     * Get the following siblings of each node in the set of matched nodes,
+     * up to but not including the first sibling matched by the selector
+     *
+     * @param {Wrapper~Selector} [selector]
+     * @returns {QueryWrapper}
+     */
+    nextUntil (selector) {
+      const until = getSelector(selector, n => false)
+      return this.$siblings((siblings, i) => {
+        const following = siblings.slice(i + 1)
+        const end = following.findIndex(until)
+        return end === -1 ? following : following.slice(0, end)
       })
-      return this.$filter(nodes, selector)
     }
 
     /**
@@ -588,8 +3457,8 @@ module.exports = (ast, options) => {
      */
     parent (selector) {
       selector = getSelector(selector)
-      const nodes = this.nodes.map(n => n.parent)
-      return this.$filter(nodes, selector)
+      const nodes = _.compact(this.nodes.map(n => n.parent))
+      return this.$filter(inDocumentOrder(nodes), selector)
     }
 
     /**
@@ -612,7 +3481,7 @@ module.exports = (ast, options) => {
           return parents
         })
       )
-      return this.$filter(nodes, selector)
+      return this.$filter(inDocumentOrder(nodes), selector)
     }
 
     /**
@@ -635,7 +3504,7 @@ module.exports = (ast, options) => {
           return parents
         })
       )
-      return $(nodes)
+      return $(inDocumentOrder(nodes))
     }
 
     /**
@@ -646,12 +3515,7 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     prev (selector) {
-      selector = getSelector(selector)
-      const nodes = _.flatMap(this.nodes, n => {
-        const index = this.index()
-        return index > 0 ? n.parent.children[index - 1] : []
-      })
-      return this.$filter(nodes, selector)
+      return this.$siblings((siblings, i) => siblings.slice(Math.max(i - 1, 0), i), selector)
     }
 
     /**
@@ -662,19 +3526,90 @@ module.exports = (ast, options) => {
      * @returns {QueryWrapper}
      */
     prevAll (selector) {
-      selector = getSelector(selector)
-      const nodes = _.flatMap(this.nodes, n => {
-        const index = this.index()
-        return index > 0 ? _.take(n.parent.children, index).reverse() : []
+      return this.$siblings((siblings, i) => siblings.slice(0, i), selector)
+    }
+
+    /**
+     * Get the preceding siblings of each node in the set of matched nodes,
+     * down to but not including the first sibling matched by the selector
+     *
+     * @param {Wrapper~Selector} [selector]
+     * @returns {QueryWrapper}
+     */
+    prevUntil (selector) {
+      const until = getSelector(selector, n => false)
+      return this.$siblings((siblings, i) => {
+        const preceding = siblings.slice(0, i)
+        return preceding.slice(_.findLastIndex(preceding, until) + 1)
+      })
+    }
+
+    /**
+     * Get the siblings of each node in the set of matched nodes,
+     * optionally filtered by a selector
+     *
+     * @param {Wrapper~Selector} [selector]
+     * @returns {QueryWrapper}
+     */
+    siblings (selector) {
+      return this.$siblings(
+        (siblings, i) => siblings.filter((n, k) => k !== i),
+        selector
+      )
+    }
+
+    /**
+     * Get the value of an attribute for the first node in the set of matched
+     * nodes or set an attribute for every node in the set of matched nodes
+     *
+     * @param {string} key
+     * @param {any} [value]
+     * @returns {any|QueryWrapper}
+     */
+    attr (key, value) {
+      invariant(_.isString(key), 'attr() requires a key')
+      if (_.isUndefined(value)) {
+        return this.nodes.length ? getAttribute(this.nodes[0].node, key) : undefined
+      }
+      return modify(this, () => {
+        for (const n of this.nodes) {
+          setNode(n, setAttribute(n.node, key, value))
+        }
+      })
+    }
+
+    /**
+     * Remove an attribute from each node in the set of matched nodes
+     *
+     * @param {string} key
+     * @returns {QueryWrapper}
+     */
+    removeAttr (key) {
+      return modify(this, () => {
+        invariant(_.isString(key), 'removeAttr() requires a key')
+        for (const n of this.nodes) {
+          setNode(n, removeAttribute(n.node, key))
+        }
       })
-      return this.$filter(nodes, selector)
     }
 
     /**
      * Get the combined string contents of each node in the set of matched nodes,
-     * including their descendants
+     * including their descendants, or set the string value of each node
+     * without children in the set of matched nodes
+     *
+     * @param {string} [value]
+     * @returns {string|QueryWrapper}
      */
-    value () {
+    value (value) {
+      if (!_.isUndefined(value)) {
+        invariant(_.isString(value), 'value() requires a string')
+        return modify(this, () => {
+          for (const n of this.nodes) {
+            if (!n.hasChildren) setNode(n, setValue(n.node, value))
+          }
+        })
+      }
       return this.nodes.reduce((v, n) => {
         return n.reduce((v, n) => {
           return v + toString(n.node)
@@ -685,3 +3620,6 @@ module.exports = (ast, options) => {
 
   return $
 }
+
+module.exports = createQueryWrapper
+module.exports.adapters = adapters
@@ -0,0 +1,286 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const _ = require('lodash')
+const invariant = require('invariant')
+
+/**
+ * The largest number of comparisons used to align two sequences before
+ * falling back to comparing them position by position
+ *
+ * @private
+ */
+const MAX_ALIGNMENT_SIZE = 250000
+
+/**
+ * Create a JSON Pointer (RFC 6901) from an array of reference tokens
+ *
+ * @param {Array<string|number>} tokens
+ * @returns {string}
+ */
+const formatPointer = tokens =>
+  tokens
+    .map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('')
+
+/**
+ * Return the reference tokens of a JSON Pointer (RFC 6901)
+ *
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+const parsePointer = pointer => {
+  invariant(
+    _.isString(pointer) && (pointer === '' || pointer[0] === '/'),
+    `Invalid JSON Pointer "${pointer}"`
+  )
+  return pointer === ''
+    ? []
+    : pointer
+      .slice(1)
+      .split('/')
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Return the array index referenced by a token
+ *
+ * @param {string} token
+ * @param {number} length the length of the array
+ * @param {boolean} [end] true if the token can reference the end of the array
+ * @returns {number}
+ */
+const parseIndex = (token, length, end) => {
+  if (end && token === '-') return length
+  invariant(/^(0|[1-9]\d*)$/.test(token), `Invalid array index "${token}"`)
+  const index = Number(token)
+  invariant(
+    index < length || (end && index === length),
+    `Array index "${token}" is out of bounds`
+  )
+  return index
+}
+
+/**
+ * Return the keys of an object that don't have an undefined value
+ *
+ * @private
+ * @param {object} object
+ * @returns {string[]}
+ */
+const definedKeys = object =>
+  Object.keys(object).filter(key => !_.isUndefined(object[key]))
+
+/**
+ * Return the JSON Patch operations that turn a JSON value into another
+ *
+ * @param {any} a
+ * @param {any} b
+ * @param {Array<string|number>} [tokens] the location of the values
+ * @returns {object[]}
+ */
+const diffJSON = (a, b, tokens) => {
+  const ops = []
+  const diff = (a, b, tokens) => {
+    if (_.isEqual(a, b)) return
+    if (_.isPlainObject(a) && _.isPlainObject(b)) {
+      const keys = definedKeys(b)
+      for (const key of definedKeys(a)) {
+        if (!keys.includes(key)) {
+          ops.push({ op: 'remove', path: formatPointer(tokens.concat(key)) })
+        }
+      }
+      for (const key of keys) {
+        if (_.isUndefined(a[key])) {
+          ops.push({
+            op: 'add',
+            path: formatPointer(tokens.concat(key)),
+            value: b[key]
+          })
+        } else {
+          diff(a[key], b[key], tokens.concat(key))
+        }
+      }
+      return
+    }
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+      a.forEach((value, i) => diff(value, b[i], tokens.concat(i)))
+      return
+    }
+    ops.push({ op: 'replace', path: formatPointer(tokens), value: b })
+  }
+  diff(a, b, tokens || [])
+  return ops
+}
+
+/**
+ * Align two sequences by their longest common subsequence. Each step is
+ * either `["match", i, j]`, `["remove", i]` or `["add", j]`.
+ *
+ * @param {any[]} a
+ * @param {any[]} b
+ * @param {function} isMatch called with an item of each sequence
+ * @returns {Array[]}
+ */
+const align = (a, b, isMatch) => {
+  let start = 0
+  let end = 0
+  while (
+    start < a.length && start < b.length && isMatch(a[start], b[start])
+  ) start++
+  while (
+    end < a.length - start && end < b.length - start &&
+    isMatch(a[a.length - 1 - end], b[b.length - 1 - end])
+  ) end++
+  const steps = _.range(start).map(i => ['match', i, i])
+  const m = a.length - start - end
+  const n = b.length - start - end
+  if (m * n > MAX_ALIGNMENT_SIZE) {
+    for (let k = 0; k < Math.max(m, n); k++) {
+      const i = start + k
+      const j = start + k
+      if (k < m && k < n && isMatch(a[i], b[j])) {
+        steps.push(['match', i, j])
+      } else {
+        if (k < m) steps.push(['remove', i])
+        if (k < n) steps.push(['add', j])
+      }
+    }
+  } else {
+    // lengths[i][j] is the length of the common subsequence of a[i:] and b[j:]
+    const lengths = _.range(m + 1).map(() => new Array(n + 1).fill(0))
+    for (let i = m - 1; i >= 0; i--) {
+      for (let j = n - 1; j >= 0; j--) {
+        lengths[i][j] = isMatch(a[start + i], b[start + j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+      }
+    }
+    let i = 0
+    let j = 0
+    while (i < m || j < n) {
+      if (i < m && j < n && isMatch(a[start + i], b[start + j])) {
+        steps.push(['match', start + i++, start + j++])
+      } else if (j === n || (i < m && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        steps.push(['remove', start + i++])
+      } else {
+        steps.push(['add', start + j++])
+      }
+    }
+  }
+  for (let k = end; k > 0; k--) {
+    steps.push(['match', a.length - k, b.length - k])
+  }
+  return steps
+}
+
+/**
+ * Apply a JSON Patch operation (RFC 6902) to a document that provides
+ * `get(tokens)`, `add(tokens, value)`, `remove(tokens)` and
+ * `replace(tokens, value)`
+ *
+ * @param {object} op
+ * @param {object} document
+ */
+const applyOperation = (op, document) => {
+  invariant(_.isPlainObject(op), 'a JSON Patch operation must be an object')
+  const tokens = parsePointer(op.path)
+  if (['add', 'replace', 'test'].includes(op.op)) {
+    invariant(_.has(op, 'value'), `"${op.op}" operations require a value`)
+  }
+  switch (op.op) {
+    case 'add':
+      return document.add(tokens, op.value)
+    case 'remove':
+      return document.remove(tokens)
+    case 'replace':
+      return document.replace(tokens, op.value)
+    case 'move': {
+      const from = parsePointer(op.from)
+      if (op.from === op.path) return
+      invariant(
+        !_.isEqual(from, tokens.slice(0, from.length)),
+        `"${op.from}" can not be moved into itself`
+      )
+      const value = document.get(from)
+      document.remove(from)
+      return document.add(tokens, value)
+    }
+    case 'copy':
+      return document.add(tokens, document.get(parsePointer(op.from)))
+    case 'test':
+      invariant(
+        _.isEqual(document.get(tokens), op.value),
+        `Test of "${op.path}" failed`
+      )
+      return
+    default:
+      invariant(false, `Unknown JSON Patch operation "${op.op}"`)
+  }
+}
+
+/**
+ * Wrap a JSON value so that it can be modified by `applyOperation()`.
+ * The value is copied and the result is available as `document.value`.
+ *
+ * @param {any} value
+ * @returns {object}
+ */
+const createDocument = value => {
+  const document = { value: _.cloneDeep(value) }
+  const getParent = tokens => {
+    invariant(tokens.length, 'the whole document can not be removed')
+    return document.get(tokens.slice(0, -1))
+  }
+  document.get = tokens =>
+    tokens.reduce((value, token) => {
+      if (Array.isArray(value)) return value[parseIndex(token, value.length)]
+      invariant(
+        _.isObjectLike(value) && _.has(value, token),
+        `"${formatPointer(tokens)}" does not exist`
+      )
+      return value[token]
+    }, document.value)
+  document.add = (tokens, value) => {
+    value = _.cloneDeep(value)
+    if (!tokens.length) {
+      document.value = value
+      return
+    }
+    const parent = getParent(tokens)
+    const token = _.last(tokens)
+    if (Array.isArray(parent)) {
+      parent.splice(parseIndex(token, parent.length, true), 0, value)
+    } else {
+      invariant(_.isObjectLike(parent), `"${formatPointer(tokens)}" can not be added`)
+      parent[token] = value
+    }
+  }
+  document.remove = tokens => {
+    const parent = getParent(tokens)
+    document.get(tokens)
+    const token = _.last(tokens)
+    if (Array.isArray(parent)) {
+      parent.splice(parseIndex(token, parent.length), 1)
+    } else {
+      delete parent[token]
+    }
+  }
+  document.replace = (tokens, value) => {
+    if (tokens.length) document.remove(tokens)
+    document.add(tokens, value)
+  }
+  return document
+}
+
+module.exports = {
+  align,
+  applyOperation,
+  createDocument,
+  diffJSON,
+  formatPointer,
+  parseIndex,
+  parsePointer
+}
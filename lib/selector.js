@@ -0,0 +1,514 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+'use strict'
+
+const invariant = require('invariant')
+
+/**
+ * Characters that can't appear unescaped in a type name
+ *
+ * @private
+ */
+const SPECIAL_CHARS = ' \t\n\r\f>+~,*:()[]\\'
+
+/**
+ * Characters that end the name of an attribute
+ *
+ * @private
+ */
+const ATTRIBUTE_NAME_END_CHARS = ' \t\n\r\f=^$*~|!]'
+
+/**
+ * Operators that can compare an attribute to a value
+ *
+ * @private
+ */
+const ATTRIBUTE_OPERATORS = ['=', '^=', '$=', '*=']
+
+/**
+ * Combinators that can appear between two compound selectors
+ *
+ * @private
+ */
+const COMBINATORS = '>+~'
+
+/**
+ * Pseudo-classes that take a selector list as an argument
+ *
+ * @private
+ */
+const SELECTOR_PSEUDOS = ['not', 'is', 'has']
+
+/**
+ * Pseudo-classes that take an an+b expression as an argument
+ *
+ * @private
+ */
+const NTH_PSEUDOS = ['nth-child', 'nth-of-type']
+
+/**
+ * Pseudo-classes that don't take an argument
+ *
+ * @private
+ */
+const SIMPLE_PSEUDOS = [
+  'first-child',
+  'last-child',
+  'only-child',
+  'empty',
+  'root'
+]
+
+/**
+ * The number of parsed selectors to keep
+ *
+ * @private
+ */
+const CACHE_SIZE = 500
+
+/**
+ * Parsed selectors keyed by their source string, least recently used first
+ *
+ * @private
+ */
+const cache = new Map()
+
+const isWhitespace = c => /\s/.test(c)
+
+/**
+ * Return true if the selector is a single type name without any
+ * selector syntax
+ *
+ * @param {string} selector
+ * @returns {boolean}
+ */
+const isPlainType = selector => {
+  for (const c of selector) {
+    if (SPECIAL_CHARS.includes(c)) return false
+  }
+  return true
+}
+
+/**
+ * Parse an an+b expression
+ *
+ * @private
+ * @param {string} expression
+ * @returns {object|null} an object with "a" and "b" keys or null if the
+ * expression is invalid
+ */
+const parseNth = expression => {
+  expression = expression.replace(/\s+/g, '').toLowerCase()
+  if (expression === 'odd') return { a: 2, b: 1 }
+  if (expression === 'even') return { a: 2, b: 0 }
+  if (/^[+-]?\d+$/.test(expression)) return { a: 0, b: parseInt(expression, 10) }
+  const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(expression)
+  if (!match) return null
+  const a = match[1] === '' || match[1] === '+' ? 1
+    : match[1] === '-' ? -1 : parseInt(match[1], 10)
+  const b = match[2] ? parseInt(match[2], 10) : 0
+  return { a, b }
+}
+
+/**
+ * Parse a selector string into a list of complex selectors.
+ *
+ * Each complex selector is an array of steps ordered from left to right,
+ * where each step describes a compound selector and the combinator that
+ * joins it to the previous step.
+ *
+ * @private
+ * @param {string} selector
+ * @returns {object[][]}
+ */
+const parse = selector => {
+  let pos = 0
+
+  const fail = message =>
+    invariant(false, `Invalid selector "${selector}": ${message} at ${pos}`)
+
+  const eof = () => pos >= selector.length
+  const peek = () => selector[pos]
+  const unexpected = () =>
+    fail(eof() ? 'unexpected end of input' : `unexpected "${peek()}"`)
+
+  const skipWhitespace = () => {
+    const start = pos
+    while (!eof() && isWhitespace(peek())) pos++
+    return pos > start
+  }
+
+  const expect = c => {
+    if (peek() !== c) unexpected()
+    pos++
+  }
+
+  const parseName = () => {
+    let name = ''
+    while (!eof() && !SPECIAL_CHARS.includes(peek())) {
+      name += selector[pos++]
+    }
+    while (peek() === '\\') {
+      pos++
+      if (eof()) fail('unexpected end of input')
+      name += selector[pos++]
+      name += parseName()
+    }
+    return name
+  }
+
+  const parsePseudo = () => {
+    expect(':')
+    const name = parseName().toLowerCase()
+    if (SIMPLE_PSEUDOS.includes(name)) return { name, argument: null }
+    if (!NTH_PSEUDOS.includes(name) && !SELECTOR_PSEUDOS.includes(name)) {
+      fail(`unknown pseudo-class ":${name}"`)
+    }
+    expect('(')
+    let argument
+    if (NTH_PSEUDOS.includes(name)) {
+      const end = selector.indexOf(')', pos)
+      argument = parseNth(end >= 0 ? selector.slice(pos, end) : '')
+      if (!argument) fail(`invalid argument for ":${name}"`)
+      pos = end
+    } else {
+      argument = parseList(name === 'has')
+      skipWhitespace()
+    }
+    expect(')')
+    return { name, argument }
+  }
+
+  const parseString = () => {
+    const quote = selector[pos++]
+    let value = ''
+    while (peek() !== quote) {
+      if (eof()) unexpected()
+      if (peek() === '\\') pos++
+      value += selector[pos++]
+    }
+    pos++
+    return value
+  }
+
+  const parseRegExp = () => {
+    const start = pos++
+    while (peek() !== '/') {
+      if (eof()) unexpected()
+      if (peek() === '\\') pos++
+      pos++
+    }
+    const source = selector.slice(start + 1, pos++)
+    let flags = ''
+    while (!eof() && /[a-z]/i.test(peek())) flags += selector[pos++]
+    try {
+      const regexp = new RegExp(source, flags)
+      // The "g" and "y" flags would make each test start where the last one
+      // matched, and the parsed selector is shared through the cache
+      return new RegExp(source, regexp.flags.replace(/[gy]/g, ''))
+    } catch (e) {
+      fail(`invalid regular expression /${source}/${flags}`)
+    }
+  }
+
+  const parseAttribute = () => {
+    expect('[')
+    skipWhitespace()
+    let name = ''
+    while (!eof() && !ATTRIBUTE_NAME_END_CHARS.includes(peek())) {
+      name += selector[pos++]
+    }
+    if (!name) unexpected()
+    skipWhitespace()
+    const attribute = { name, operator: null, value: null }
+    if (peek() !== ']') {
+      const operator = ATTRIBUTE_OPERATORS.find(o => selector.startsWith(o, pos))
+      if (!operator) unexpected()
+      pos += operator.length
+      skipWhitespace()
+      const c = peek()
+      if (c === '"' || c === "'") {
+        attribute.value = parseString()
+      } else if (c === '/' && operator === '=') {
+        attribute.value = parseRegExp()
+      } else {
+        attribute.value = parseName()
+        if (!attribute.value) unexpected()
+      }
+      attribute.operator = operator
+      skipWhitespace()
+    }
+    expect(']')
+    return attribute
+  }
+
+  const parseCompound = combinator => {
+    const step = { combinator, type: null, attributes: [], pseudos: [] }
+    if (peek() === '*') {
+      pos++
+    } else if (peek() !== ':' && peek() !== '[') {
+      const name = parseName()
+      if (!name) unexpected()
+      step.type = name
+    }
+    while (peek() === ':' || peek() === '[') {
+      if (peek() === '[') {
+        step.attributes.push(parseAttribute())
+      } else {
+        step.pseudos.push(parsePseudo())
+      }
+    }
+    return step
+  }
+
+  const parseComplex = relative => {
+    let combinator = null
+    if (relative) {
+      combinator = ' '
+      if (COMBINATORS.includes(peek())) {
+        combinator = selector[pos++]
+        skipWhitespace()
+      }
+    }
+    const steps = [parseCompound(combinator)]
+    while (!eof()) {
+      const hasWhitespace = skipWhitespace()
+      if (eof() || peek() === ',' || peek() === ')') break
+      combinator = ' '
+      if (COMBINATORS.includes(peek())) {
+        combinator = selector[pos++]
+        skipWhitespace()
+      } else if (!hasWhitespace) {
+        unexpected()
+      }
+      steps.push(parseCompound(combinator))
+    }
+    return steps
+  }
+
+  const parseList = relative => {
+    const list = []
+    do {
+      skipWhitespace()
+      list.push(parseComplex(relative))
+    } while (peek() === ',' && ++pos)
+    return list
+  }
+
+  const list = parseList(false)
+  if (!eof()) unexpected()
+  return list
+}
+
+/**
+ * Parse a selector string, reusing the result of a recent parse. Selectors
+ * that are built on the fly (like `variable[value="${name}"]`) only keep
+ * the most recently used entries in the cache.
+ *
+ * @private
+ * @param {string} selector
+ * @returns {object[][]}
+ */
+const parseCached = selector => {
+  let list = cache.get(selector)
+  if (list) {
+    cache.delete(selector)
+  } else {
+    list = parse(selector)
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value)
+  }
+  cache.set(selector, list)
+  return list
+}
+
+/**
+ * Return the siblings of a node (including the node itself)
+ *
+ * @private
+ * @param {NodeWrapper} n
+ * @returns {NodeWrapper[]}
+ */
+const getSiblings = n => {
+  const p = n.parent
+  return p && p.hasChildren ? p.children : []
+}
+
+/**
+ * Return the siblings that precede a node
+ *
+ * @private
+ * @param {NodeWrapper} n
+ * @returns {NodeWrapper[]}
+ */
+const getPrevSiblings = n => {
+  const siblings = getSiblings(n)
+  const i = siblings.indexOf(n)
+  return i > 0 ? siblings.slice(0, i) : []
+}
+
+/**
+ * Return the siblings that follow a node
+ *
+ * @private
+ * @param {NodeWrapper} n
+ * @returns {NodeWrapper[]}
+ */
+const getNextSiblings = n => {
+  const siblings = getSiblings(n)
+  const i = siblings.indexOf(n)
+  return i >= 0 ? siblings.slice(i + 1) : []
+}
+
+/**
+ * Return all descendants of a node
+ *
+ * @private
+ * @param {NodeWrapper} n
+ * @returns {NodeWrapper[]}
+ */
+const getDescendants = n =>
+  n.reduce((a, d) => {
+    if (d !== n) a.push(d)
+    return a
+  }, [])
+
+/**
+ * Return true if a 1-based position matches an an+b expression
+ *
+ * @private
+ * @param {object} nth
+ * @param {number} position
+ * @returns {boolean}
+ */
+const matchNth = ({ a, b }, position) => {
+  if (a === 0) return position === b
+  const n = (position - b) / a
+  return n >= 0 && Number.isInteger(n)
+}
+
+/**
+ * Create a function that tests an attribute value
+ *
+ * @private
+ * @param {object} attribute
+ * @returns {function}
+ */
+const compileAttribute = ({ operator, value: expected }) => {
+  if (operator === null) return value => value !== undefined && value !== null
+  return value => {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) return false
+    value = String(value)
+    switch (operator) {
+      case '^=': return value.startsWith(expected)
+      case '$=': return value.endsWith(expected)
+      case '*=': return value.includes(expected)
+      default:
+        return expected instanceof RegExp
+          ? expected.test(value)
+          : value === expected
+    }
+  }
+}
+
+/**
+ * Create a function that tests a {@link NodeWrapper} against a selector string
+ *
+ * @private
+ * @param {string} selector
+ * @param {object} options
+ * @param {function} options.getType
+ * @param {function} options.getAttribute
+ * @returns {function}
+ */
+const compile = (selector, { getType, getAttribute }) => {
+  if (isPlainType(selector)) return n => getType(n.node) === selector
+
+  const pseudos = {
+    'first-child': () => n => getSiblings(n)[0] === n,
+    'last-child': () => n => {
+      const siblings = getSiblings(n)
+      return siblings[siblings.length - 1] === n
+    },
+    'only-child': () => n => {
+      const siblings = getSiblings(n)
+      return siblings.length === 1 && siblings[0] === n
+    },
+    empty: () => n => !n.hasChildren || n.children.length === 0,
+    root: () => n => !n.parent,
+    'nth-child': nth => n => {
+      const i = getSiblings(n).indexOf(n)
+      return i >= 0 && matchNth(nth, i + 1)
+    },
+    'nth-of-type': nth => n => {
+      const type = getType(n.node)
+      const i = getSiblings(n)
+        .filter(s => getType(s.node) === type)
+        .indexOf(n)
+      return i >= 0 && matchNth(nth, i + 1)
+    },
+    not: list => {
+      const match = compileList(list)
+      return n => !match(n)
+    },
+    is: list => compileList(list),
+    has: list => {
+      const matchers = list.map(steps => {
+        // The first step of a relative selector is matched against
+        // candidates relative to the node being tested (the anchor)
+        const match = compileSteps([{ anchor: true }].concat(steps))
+        const combinator = steps[0].combinator
+        const getCandidates = combinator === '+' || combinator === '~'
+          ? n => getNextSiblings(n).reduce(
+            (a, s) => a.concat(s, getDescendants(s)), [])
+          : getDescendants
+        return n => getCandidates(n).some(c => match(c, n))
+      })
+      return n => matchers.some(match => match(n))
+    }
+  }
+
+  const compileStep = step => {
+    if (step.anchor) return (n, anchor) => n === anchor
+    const tests = step.attributes.map(attribute => {
+      const test = compileAttribute(attribute)
+      return n => test(getAttribute(n.node, attribute.name))
+    }).concat(step.pseudos.map(p => pseudos[p.name](p.argument)))
+    if (step.type !== null) tests.unshift(n => getType(n.node) === step.type)
+    return n => tests.every(test => test(n))
+  }
+
+  const compileSteps = steps => {
+    const tests = steps.map(compileStep)
+    const matchSteps = (i, n, anchor) => {
+      if (!tests[i](n, anchor)) return false
+      if (i === 0) return true
+      switch (steps[i].combinator) {
+        case '>':
+          return Boolean(n.parent) && matchSteps(i - 1, n.parent, anchor)
+        case '+': {
+          const siblings = getPrevSiblings(n)
+          return siblings.length > 0 &&
+            matchSteps(i - 1, siblings[siblings.length - 1], anchor)
+        }
+        case '~':
+          return getPrevSiblings(n).some(s => matchSteps(i - 1, s, anchor))
+        default:
+          for (let p = n.parent; p; p = p.parent) {
+            if (matchSteps(i - 1, p, anchor)) return true
+          }
+          return false
+      }
+    }
+    return (n, anchor) => matchSteps(tests.length - 1, n, anchor)
+  }
+
+  const compileList = list => {
+    const matchers = list.map(compileSteps)
+    return n => matchers.some(match => match(n, null))
+  }
+
+  return compileList(parseCached(selector))
+}
+
+module.exports = { compile, isPlainType, parse }
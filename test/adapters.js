@@ -0,0 +1,351 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+/* global describe, it */
+
+'use strict'
+
+const { expect } = require('chai')
+const acorn = require('acorn')
+const postcss = require('postcss')
+const { parse: parseSCSS } = require('scss-parser/lib')
+
+const createQuery = require('../lib')
+
+const getType = (n) => n.type
+
+describe('adapters', () => {
+  describe('estree', () => {
+    const getAST = (js) => {
+      const ast = acorn.parse(js, { ecmaVersion: 2020 })
+      const $ = createQuery(ast, createQuery.adapters.estree)
+      return { ast, $ }
+    }
+    it('finds nodes in named fields', () => {
+      const { $ } = getAST('a + b(c, d)')
+      expect($('BinaryExpression > Identifier').value()).to.equal('a')
+      expect($('CallExpression > Identifier').value()).to.equal('bcd')
+    })
+    it('records the field of each node', () => {
+      const { $ } = getAST('a + b(c, d)')
+      const fields = $('Identifier').map((n) => n.field)
+      expect(fields).to.deep.equal(['left', 'callee', 'arguments', 'arguments'])
+    })
+    it('orders children by their position in the source', () => {
+      const { $ } = getAST('`a${b}c${d}e`') // eslint-disable-line no-template-curly-in-string
+      expect($('TemplateLiteral').children().map((n) => $(n).value()))
+        .to.deep.equal(['a', 'b', 'c', 'd', 'e'])
+      expect($('TemplateLiteral > :first-child').value()).to.equal('a')
+      expect($('Identifier').first().next().value()).to.equal('c')
+      const { ast } = getAST('`a${b}c`') // eslint-disable-line no-template-curly-in-string
+      expect(createQuery(ast, createQuery.adapters.estree)().get(0)).to.deep.equal(ast)
+    })
+    it('skips empty slots', () => {
+      const { $ } = getAST('if (a) b()')
+      const fields = $('IfStatement').children().map((n) => n.field)
+      expect(fields).to.deep.equal(['test', 'consequent'])
+    })
+    it('matches templates against named fields', () => {
+      const { $ } = getAST('a + b(c, d); x + 1')
+      const [match, ...rest] = $.match({
+        type: 'BinaryExpression',
+        left: '$left',
+        right: { type: 'CallExpression', arguments: ['$$args'] }
+      })
+      expect(rest.length).to.equal(0)
+      expect(match.captures.left.node.name).to.equal('a')
+      expect(match.captures.args.map((n) => n.node.name)).to.deep.equal(['c', 'd'])
+    })
+    it('uses named fields in node paths', () => {
+      const { $ } = getAST('a + b(c, d)')
+      const $d = $('Identifier').last()
+      expect($d.path()).to.deep.equal([0, 0, 1, 2])
+      expect($d.path('pointer')).to.equal('/body/0/expression/right/arguments/1')
+      expect($.at($d.path('pointer')).nodes).to.deep.equal($d.nodes)
+      expect($.at('/body/0/expression/right/callee/name').length()).to.equal(0)
+    })
+    it('counts empty slots in node paths and patches', () => {
+      const { $ } = getAST('const [, a] = b')
+      const $a = $('ArrayPattern > Identifier')
+      expect($a.path('pointer')).to.equal('/body/0/declarations/0/id/elements/1')
+      expect($.at('/body/0/declarations/0/id/elements/1').nodes).to.deep.equal($a.nodes)
+      expect($.at('/body/0/declarations/0/id/elements/0').length()).to.equal(0)
+      $a.value('c')
+      expect($.toPatch()).to.deep.equal([{
+        op: 'replace',
+        path: '/body/0/declarations/0/id/elements/1/name',
+        value: 'c'
+      }])
+      $a.after({ type: 'Identifier', name: 'd' })
+      expect($.toPatch()[1]).to.deep.include({
+        op: 'replace',
+        path: '/body/0/declarations/0/id/elements'
+      })
+      const { $: $other } = getAST('const [, a] = b')
+      $other.applyPatch($.toPatch())
+      expect($other().get(0)).to.deep.equal($().get(0))
+      expect(getAST('const [, a] = b').$.diff(getAST('const [, x] = b').ast))
+        .to.deep.equal([{
+          op: 'replace',
+          path: '/body/0/declarations/0/id/elements/1/name',
+          value: 'x'
+        }])
+    })
+    it('returns the location of nodes', () => {
+      const ast = acorn.parse('a +\n  b(c)', { ecmaVersion: 2020, locations: true })
+      const $ = createQuery(ast, createQuery.adapters.estree)
+      expect($('CallExpression').location()).to.deep.equal({
+        start: { line: 2, column: 2 },
+        end: { line: 2, column: 6 }
+      })
+      expect($.nodeAt(2, 4).map((n) => n.node.name)).to.deep.equal(['c'])
+      expect(getAST('a').$().location()).to.equal(null)
+    })
+    it('replaces children that are set as an attribute', () => {
+      const { $ } = getAST('f(a, b)')
+      $('CallExpression').attr('arguments', [])
+      expect($('CallExpression').children().map((n) => n.field)).to.deep.equal(['callee'])
+      expect($('Identifier').value()).to.equal('f')
+      expect($().get(0).body[0].expression.arguments).to.deep.equal([])
+    })
+    it('keeps changes to the other fields when children are set', () => {
+      const { $ } = getAST('if (a) b(); else c()')
+      const $a = $('Identifier[name=a]')
+      $a.value('zz')
+      $('IfStatement').attr('alternate', null)
+      expect($('Identifier').map((n) => n.node.name)).to.deep.equal(['zz', 'b'])
+      expect($('IfStatement > Identifier').nodes).to.deep.equal($a.nodes)
+      expect($().get(0).body[0].test.name).to.equal('zz')
+      expect($().get(0).body[0].alternate).to.equal(null)
+      $.undo()
+      expect($('Identifier').map((n) => n.node.name)).to.deep.equal(['zz', 'b', 'c'])
+    })
+    it('uses named fields in JSON Patch paths', () => {
+      const { $ } = getAST('f(a, b)')
+      const { ast } = getAST('g(a)')
+      const ops = $.diff(ast)
+      expect(ops).to.deep.include({
+        op: 'replace',
+        path: '/body/0/expression/callee/name',
+        value: 'g'
+      })
+      expect(ops).to.deep.include({
+        op: 'remove',
+        path: '/body/0/expression/arguments/1'
+      })
+      $.applyPatch(ops)
+      expect($.diff(ast)).to.deep.equal([])
+      expect($('CallExpression > Identifier').value()).to.equal('ga')
+    })
+    it('matches attributes', () => {
+      const { $ } = getAST('a + b - c')
+      expect($('BinaryExpression[operator="-"] > Identifier').value())
+        .to.equal('c')
+    })
+    it('returns the string value of leaf nodes', () => {
+      const { $ } = getAST('f(a, "b", 1)')
+      expect($('CallExpression').value()).to.equal('fa"b"1')
+    })
+    it('round trips through toJSON', () => {
+      const { ast, $ } = getAST(`
+        const [, a, , b] = c
+        if (a) { b() } else d = { e, ...f }
+      `)
+      expect($().get(0)).to.deep.equal(JSON.parse(JSON.stringify(ast)))
+    })
+    it('puts mutated nodes back in their fields', () => {
+      const { $ } = getAST('f(a, b)')
+      const c = { type: 'Identifier', name: 'c', start: 0, end: 0 }
+      $('CallExpression > Identifier[name=a]').after(c)
+      $('CallExpression > Identifier[name=f]').replace(() => (
+        { type: 'Identifier', name: 'g', start: 0, end: 0 }
+      ))
+      $('CallExpression > Identifier[name=b]').remove()
+      const call = $('CallExpression').get(0)
+      expect(call.callee.name).to.equal('g')
+      expect(call.arguments.map((n) => n.name)).to.deep.equal(['a', 'c'])
+    })
+    it('sets the value of identifiers and literals', () => {
+      const { $ } = getAST('f(a, "b", 1)')
+      $('Identifier[name=a]').value('c')
+      $('Literal[value=b]').value("'d'")
+      $('Literal[value=1]').value('2')
+      const args = $('CallExpression').get(0).arguments
+      expect(args.map((n) => n.name || n.value)).to.deep.equal(['c', 'd', 2])
+      expect($('CallExpression').value()).to.equal("fc'd'2")
+    })
+    it('empties a single slot when its node is removed', () => {
+      const { $ } = getAST('if (a) b(); else c()')
+      $('IfStatement > ExpressionStatement:last-child').remove()
+      const statement = $('IfStatement').get(0)
+      expect(statement.alternate).to.equal(null)
+      expect(getType(statement.consequent)).to.equal('ExpressionStatement')
+    })
+  })
+  describe('scss', () => {
+    const getAST = (scss) => {
+      const ast = parseSCSS(scss)
+      const $ = createQuery(ast, createQuery.adapters.scss)
+      return { ast, $ }
+    }
+    it('queries the tree', () => {
+      const { $ } = getAST('.a { color: $b; }')
+      expect($('rule > selector class').value()).to.equal('a')
+      expect($('declaration variable').value()).to.equal('b')
+    })
+    it('keeps node positions', () => {
+      const { ast, $ } = getAST('.a { color: $b; }')
+      expect($('variable').get(0).start).to.deep.equal({
+        cursor: 12, line: 1, column: 12
+      })
+      expect($().get(0)).to.deep.equal(ast)
+    })
+  })
+  describe('postcss', () => {
+    const css = 'a { color: red } @media print { b { color: blue; margin: 0 } }'
+    const getAST = (css) => {
+      const ast = postcss.parse(css)
+      const $ = createQuery(ast, createQuery.adapters.postcss)
+      return { ast, $ }
+    }
+    it('queries the tree', () => {
+      const { $ } = getAST(css)
+      expect($('atrule[name=media] decl').length()).to.equal(2)
+      expect($('rule[selector=a] > decl[prop=color]').value()).to.equal('red')
+      expect($('decl[prop=color]').value()).to.equal('redblue')
+    })
+    it('updates declarations', () => {
+      const { $ } = getAST(css)
+      $('decl[prop=color]').value('green')
+      $('rule[selector=b]').attr('selector', 'i')
+      $('decl[prop=margin]').removeAttr('value')
+      expect($('decl[prop=margin][value]').length()).to.equal(0)
+      $('decl[prop=margin]').attr('value', '1px')
+      expect(postcss.fromJSON($().get(0)).toString()).to.equal(
+        'a { color: green } @media print { i { color: green; margin: 1px } }'
+      )
+    })
+    it('returns JSON without parent references', () => {
+      const { $ } = getAST(css)
+      const decl = $('decl').get(0)
+      expect(decl).to.not.have.property('parent')
+      expect(decl).to.include({ type: 'decl', prop: 'color', value: 'red' })
+    })
+    it('round trips through postcss.fromJSON()', () => {
+      const { $ } = getAST(css)
+      expect(postcss.fromJSON($().get(0)).toString()).to.equal(css)
+    })
+    it('reflects mutations', () => {
+      const { $ } = getAST(css)
+      $('decl[prop=margin]').remove()
+      $('rule[selector=a] > decl').after(
+        { type: 'decl', prop: 'padding', value: '0', raws: { before: ' ' } }
+      )
+      expect(postcss.fromJSON($().get(0)).toString()).to.equal(
+        'a { color: red; padding: 0 } @media print { b { color: blue } }'
+      )
+    })
+    it('returns the location of nodes', () => {
+      const { $ } = getAST('a {\n  color: red;\n}')
+      expect($('decl').location()).to.deep.equal({
+        start: { line: 2, column: 2 },
+        end: { line: 2, column: 13 }
+      })
+      expect($.nodeAt(2, 5).map((n) => n.node.prop)).to.deep.equal(['color'])
+      expect($.nodeAt(3, 0).map((n) => n.node.type)).to.deep.equal(['rule'])
+    })
+  })
+  describe('unist', () => {
+    const position = (start, end) => ({
+      start: { line: 1, column: start + 1, offset: start },
+      end: { line: 1, column: end + 1, offset: end }
+    })
+    // # Hello *world*
+    const mdast = () => ({
+      type: 'root',
+      children: [{
+        type: 'heading',
+        depth: 1,
+        children: [
+          { type: 'text', value: 'Hello ', position: position(2, 8) },
+          {
+            type: 'emphasis',
+            children: [
+              { type: 'text', value: 'world', position: position(9, 14) }
+            ],
+            position: position(8, 15)
+          }
+        ],
+        position: position(0, 15)
+      }],
+      position: position(0, 15)
+    })
+    // <p><a href="https://example.com">link</a></p>
+    const hast = () => ({
+      type: 'root',
+      children: [{
+        type: 'element',
+        tagName: 'p',
+        properties: {},
+        children: [{
+          type: 'element',
+          tagName: 'a',
+          properties: { href: 'https://example.com' },
+          children: [{ type: 'text', value: 'link' }]
+        }]
+      }]
+    })
+    const createUnistQuery = (ast) =>
+      createQuery(ast, createQuery.adapters.unist)
+    it('queries an mdast tree', () => {
+      const $ = createUnistQuery(mdast())
+      expect($('heading[depth=1]').value()).to.equal('Hello world')
+      expect($('emphasis > text').value()).to.equal('world')
+    })
+    it('returns the location of nodes', () => {
+      const $ = createUnistQuery(mdast())
+      expect($('emphasis').location()).to.deep.equal({
+        start: { line: 1, column: 8 },
+        end: { line: 1, column: 15 }
+      })
+      expect($.nodeAt(1, 10).value()).to.equal('world')
+      expect($.nodeAt(1, 8).map((n) => n.node.type)).to.deep.equal(['emphasis'])
+      expect(createUnistQuery(hast())('text').location()).to.equal(null)
+    })
+    it('queries a hast tree', () => {
+      const $ = createUnistQuery(hast())
+      expect($('element[tagName=p] > element[href^="https:"]').value())
+        .to.equal('link')
+    })
+    it('updates hast properties', () => {
+      const $ = createUnistQuery(hast())
+      $('element[tagName=a]').attr('href', '#top').attr('depth', 1)
+      $('element[tagName=a] text').value('top')
+      const a = $('element[tagName=a]').get(0)
+      expect(a.properties).to.deep.equal({ href: '#top', depth: 1 })
+      expect(a.children[0].value).to.equal('top')
+      $('element[tagName=a]').removeAttr('href').removeAttr('tagName')
+      expect($('element > element').get(0)).to.deep.include({
+        properties: { depth: 1 }
+      }).and.not.have.property('tagName')
+    })
+    it('round trips through toJSON including positions', () => {
+      const ast = mdast()
+      const $ = createUnistQuery(ast)
+      expect($().get(0)).to.deep.equal(ast)
+      expect($('emphasis').get(0).position).to.deep.equal(position(8, 15))
+    })
+    it('reflects mutations', () => {
+      const $ = createUnistQuery(mdast())
+      $('emphasis').replace(() => ({ type: 'text', value: 'there' }))
+      $('heading').before({ type: 'thematicBreak' })
+      const root = $().get(0)
+      expect(root.children.map(getType)).to.deep.equal([
+        'thematicBreak', 'heading'
+      ])
+      expect(root.children[1].children.map((n) => n.value)).to.deep.equal([
+        'Hello ', 'there'
+      ])
+    })
+  })
+})
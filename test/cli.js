@@ -0,0 +1,153 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+/* global describe, it */
+
+'use strict'
+
+const { expect } = require('chai')
+
+const createQuery = require('../lib')
+const { run } = require('../lib/cli')
+
+const json = JSON.stringify({
+  type: 'program',
+  value: [
+    { type: 'item', value: 'a' },
+    { type: 'item_container', value: [{ type: 'item', value: 'b' }] }
+  ]
+})
+
+const scss = '.a { color: $x; margin: 1px; }\n'
+
+/**
+ * Run the command line tool against in memory files
+ */
+const cli = (args, files, modules) => {
+  files = Object.assign({}, files)
+  const output = { stdout: '', stderr: '' }
+  const code = run(args, {
+    cwd: '/project',
+    readFile: file => {
+      if (!(file in files)) throw new Error(`ENOENT: ${file}`)
+      return files[file]
+    },
+    readStdin: () => files['-'],
+    writeFile: (file, content) => { files[file] = content },
+    load: id => id in (modules || {}) ? modules[id] : require(id),
+    stdout: { write: s => { output.stdout += s } },
+    stderr: { write: s => { output.stderr += s } }
+  })
+  return Object.assign(output, { code, files })
+}
+
+describe('cli', () => {
+  describe('query', () => {
+    it('prints the matched nodes as JSON', () => {
+      const { code, stdout } = cli(['item_container > item', 'a.json'], { 'a.json': json })
+      expect(code).to.equal(0)
+      expect(JSON.parse(stdout)).to.deep.equal([{ type: 'item', value: 'b' }])
+    })
+    it('prints the value of each node', () => {
+      const { stdout } = cli(['--format', 'value', 'item', 'a.json'], { 'a.json': json })
+      expect(stdout).to.equal('a\nb\n')
+    })
+    it('prints counts for each file', () => {
+      const { stdout } = cli(['-f', 'count', 'item', 'a.json', 'b.json'], {
+        'a.json': json,
+        'b.json': '{ "type": "program", "value": [] }'
+      })
+      expect(stdout).to.equal('a.json:2\nb.json:0\n')
+    })
+    it('prints JSON by file for more than one file', () => {
+      const { stdout } = cli(['item_container', 'a.json', 'b.json'], {
+        'a.json': json,
+        'b.json': '{ "type": "program", "value": [] }'
+      })
+      expect(Object.keys(JSON.parse(stdout))).to.deep.equal(['a.json', 'b.json'])
+    })
+    it('reads JSON from stdin', () => {
+      const { stdout } = cli(['-f', 'count', 'item'], { '-': json })
+      expect(stdout).to.equal('2\n')
+    })
+    it('reads .scss files with the scss adapter', () => {
+      const { stdout } = cli(['--format=value', 'property', 'a.scss'], { 'a.scss': scss })
+      expect(stdout).to.equal('color\nmargin\n')
+    })
+    it('uses an adapter for JSON files', () => {
+      const estree = JSON.stringify({
+        type: 'Program',
+        body: [{
+          type: 'ExpressionStatement',
+          expression: { type: 'Identifier', name: 'a' }
+        }]
+      })
+      const { stdout } = cli(['-a', 'estree', '-f', 'value', 'Identifier', 'a.json'], {
+        'a.json': estree
+      })
+      expect(stdout).to.equal('a\n')
+    })
+  })
+  describe('transform', () => {
+    const transform = ($) => { $('variable').value('y') }
+    it('writes the transformed files', () => {
+      const { code, stdout, files } = cli(['-t', 'codemod.js', 'a.scss', 'b.json'], {
+        'a.scss': scss,
+        'b.json': json
+      }, { '/project/codemod.js': transform })
+      expect(code).to.equal(0)
+      expect(files['a.scss']).to.equal('.a { color: $y; margin: 1px; }\n')
+      expect(files['b.json']).to.equal(json)
+      expect(stdout).to.equal('a.scss\n')
+    })
+    it('uses the $ returned by a transform', () => {
+      const immutable = ($) => {
+        const options = Object.assign({ immutable: true }, createQuery.adapters.unist)
+        return createQuery($().get(0), options)('item').first().remove()
+      }
+      const { files } = cli(['-t', 'codemod.js', '-a', 'unist', 'a.json'], {
+        'a.json': JSON.stringify({ type: 'root', children: [{ type: 'item' }] })
+      }, { '/project/codemod.js': immutable })
+      expect(JSON.parse(files['a.json'])).to.deep.equal({ type: 'root', children: [] })
+    })
+    it('runs rewrite rules', () => {
+      const rules = [{
+        selector: 'item',
+        rewrite: (n) => n.node.value === 'a' ? { type: 'item', value: 'c' } : undefined
+      }]
+      const { files } = cli(['-t', 'rules.js', 'a.json'], {
+        'a.json': json
+      }, { '/project/rules.js': rules })
+      expect(JSON.parse(files['a.json']).value[0].value).to.equal('c')
+    })
+    it('prints the transformed files with --dry-run', () => {
+      const { stdout, files } = cli(['-t', 'codemod.js', '--dry-run', 'a.scss'], {
+        'a.scss': scss
+      }, { '/project/codemod.js': transform })
+      expect(stdout).to.equal('.a { color: $y; margin: 1px; }\n')
+      expect(files['a.scss']).to.equal(scss)
+    })
+  })
+  describe('errors', () => {
+    it('prints the usage', () => {
+      const { code, stdout } = cli(['--help'])
+      expect(code).to.equal(0)
+      expect(stdout).to.match(/^Usage:/)
+    })
+    it('rejects invalid arguments', () => {
+      expect(cli(['-f', 'xml', 'item']).stderr).to.equal(
+        'query-ast: --format must be one of json, value, count\n'
+      )
+      expect(cli(['--nope']).stderr).to.match(/Unknown option "--nope"/)
+      expect(cli(['-a', 'nope', 'item']).stderr).to.match(/Unknown adapter "nope"/)
+      expect(cli([]).stderr).to.match(/a selector is required/)
+      expect(cli(['-t']).code).to.equal(1)
+    })
+    it('reports files that can not be read or parsed', () => {
+      expect(cli(['item', 'a.json']).stderr).to.match(/ENOENT/)
+      const { code, stderr } = cli(['item', 'a.json'], { 'a.json': '{' })
+      expect(code).to.equal(1)
+      expect(stderr).to.match(/Could not parse a.json/)
+    })
+  })
+})
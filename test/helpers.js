@@ -3,21 +3,13 @@
 
 'use strict'
 
-const _ = require('lodash')
 const { parse: createAST } = require('scss-parser/lib')
 
 const createQuery = require('../lib')
 
-const cleanNode = (node) => {
-  const clone = _.pick(_.clone(node), ['type', 'value'])
-  clone.value = _.isArray(clone.value)
-    ? clone.value.map(cleanNode) : clone.value
-  return clone
-}
-
 const getAST = (scss) => {
-  const ast = cleanNode(createAST(scss))
-  const $ = createQuery(ast)
+  const ast = createAST(scss)
+  const $ = createQuery(ast, createQuery.adapters.scss)
   return { ast, $ }
 }
 
@@ -43,6 +43,27 @@ describe('#createQuery(ast, options)', () => {
         })
       }).to.throw(/getType/)
     })
+    it('throws an error if getAttribute is not a function', () => {
+      expect(() => {
+        createQuery({}, {
+          getAttribute: true
+        })
+      }).to.throw(/getAttribute/)
+    })
+    it('throws an error if setAttribute is not a function', () => {
+      expect(() => {
+        createQuery({}, {
+          setAttribute: true
+        })
+      }).to.throw(/setAttribute/)
+    })
+    it('throws an error if removeAttribute is not a function', () => {
+      expect(() => {
+        createQuery({}, {
+          removeAttribute: true
+        })
+      }).to.throw(/removeAttribute/)
+    })
     it('throws an error if toJSON is not a function', () => {
       expect(() => {
         createQuery({}, {
@@ -57,6 +78,1166 @@ describe('#createQuery(ast, options)', () => {
         })
       }).to.throw(/toString/)
     })
+    it('throws an error if setValue is not a function', () => {
+      expect(() => {
+        createQuery({}, {
+          setValue: true
+        })
+      }).to.throw(/setValue/)
+    })
+  })
+})
+
+describe('NodeWrapper', () => {
+  const ast = {
+    type: 'program',
+    value: [
+      { type: 'container', value: [{ type: 'item', value: 'a' }] },
+      { type: 'container', value: [{ type: 'item', value: 'b' }] }
+    ]
+  }
+  const createCountingQuery = () => {
+    const calls = []
+    const $ = createQuery(ast, {
+      getChildren: (node) => {
+        calls.push(node.type)
+        return node.value
+      }
+    })
+    return { $, calls }
+  }
+  it('wraps children when they are first accessed', () => {
+    const { $, calls } = createCountingQuery()
+    expect(calls).to.deep.equal([])
+    expect($().children().length()).to.equal(2)
+    expect(calls).to.deep.equal(['program'])
+    $().children().first().children()
+    expect(calls).to.deep.equal(['program', 'container'])
+  })
+  it('keeps the same wrappers', () => {
+    const { $, calls } = createCountingQuery()
+    const [item] = $('item').nodes
+    expect($('item').nodes[0]).to.equal(item)
+    expect($(item).parent().children().nodes[0]).to.equal(item)
+    expect($('item').last().index()).to.equal(0)
+    expect(calls).to.have.length(3)
+  })
+  it('converts nodes that have not been wrapped to JSON', () => {
+    const { $ } = createCountingQuery()
+    expect($().get(0)).to.deep.equal(ast)
+    $('item').first().attr('value', 'c')
+    expect($().get(0).value[0].value[0].value).to.equal('c')
+    expect($().get(0).value[1]).to.deep.equal(ast.value[1])
+  })
+})
+
+describe('type index', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  const findVisited = ($, type) => $((n) => n.node.type === type).nodes
+  it('finds the same nodes as a full traversal', () => {
+    const { $ } = getAST(scss)
+    for (const type of ['variable', 'space', 'stylesheet', 'nothing']) {
+      expect($(type).nodes).to.deep.equal(findVisited($, type))
+    }
+    const $blocks = $('block')
+    expect($blocks.find('variable').nodes)
+      .to.deep.equal($blocks.find((n) => n.node.type === 'variable').nodes)
+    expect($('rule').has('variable').length()).to.equal(2)
+  })
+  it('is kept up to date by modifications', () => {
+    const { $ } = getAST(scss)
+    expect($('variable').length()).to.equal(2)
+    $('variable').first().after({ type: 'variable', value: '_x' })
+    $('variable').last().before({ type: 'variable', value: '_y' })
+    expect($('variable').value()).to.equal('_r_x_y_g')
+    $('variable').eq(1).remove()
+    $('variable').first().replace(() => ({ type: 'number', value: '1' }))
+    expect($('variable').value()).to.equal('_y_g')
+    expect($('number').nodes).to.deep.equal(findVisited($, 'number'))
+    $.undo()
+    expect($('variable').value()).to.equal('_r_y_g')
+    expect($('rule').first().has('variable').length()).to.equal(1)
+  })
+  it('is updated instead of created again after a modification', () => {
+    const { ast } = getAST(scss)
+    let calls = 0
+    const $ = createQuery(ast, {
+      getType: (node) => {
+        calls++
+        return node.type
+      }
+    })
+    const count = $('*').length()
+    expect($('variable').length()).to.equal(2)
+    $('variable').first().after({ type: 'variable', value: '_x' })
+    calls = 0
+    expect($('variable').value()).to.equal('_r_x_g')
+    expect(calls).to.be.below(count)
+  })
+  it('is updated when the type or the children of a node change', () => {
+    const { $ } = getAST(scss)
+    expect($('variable').length()).to.equal(2)
+    $('variable').first().attr('type', 'number')
+    $('block').last().attr('value', [{ type: 'variable', value: '_b' }])
+    for (const type of ['variable', 'number', 'space', 'declaration']) {
+      expect($(type).nodes).to.deep.equal(findVisited($, type))
+    }
+    expect($('variable').value()).to.equal('_b')
+    $.undo()
+    $.undo()
+    expect($('variable').value()).to.equal('_r_g')
+    expect($('number').nodes).to.deep.equal(findVisited($, 'number'))
+  })
+  it('finds nodes in detached subtrees', () => {
+    const { $ } = getAST(scss)
+    const $rule = $('rule').first()
+    $('variable').length()
+    $rule.remove()
+    expect($rule.find('variable').value()).to.equal('_r')
+    expect($rule.has('variable').length()).to.equal(1)
+    expect($('variable').value()).to.equal('_g')
+  })
+  it('is kept in immutable mode', () => {
+    const { ast } = getAST(scss)
+    const $ = createQuery(ast, { immutable: true })
+    expect($('variable').length()).to.equal(2)
+    const $next = $('variable').first().remove()
+    expect($('variable').value()).to.equal('_r_g')
+    expect($next('variable').value()).to.equal('_g')
+  })
+})
+
+describe('$.iter', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  describe('#find', () => {
+    it('finds the same nodes as $()', () => {
+      const { $ } = getAST(scss)
+      for (const selector of ['variable', 'rule > *', /^s/, (n) => n.hasChildren]) {
+        expect([...$.iter.find(selector)]).to.deep.equal($(selector).nodes)
+      }
+      const $context = $('rule').concat($('block'))
+      expect([...$.iter.find('variable', $context)])
+        .to.deep.equal($('variable', $context.nodes).nodes)
+    })
+    it('stops visiting nodes when the consumer stops', () => {
+      const { $ } = getAST(scss)
+      const visited = []
+      const iterator = $.iter.find((n) => {
+        visited.push(n)
+        return n.node.type === 'variable'
+      })
+      expect(iterator.next().value.node.value).to.equal('_r')
+      const count = visited.length
+      expect(count).to.be.below($('*').length())
+      expect(iterator.next().value.node.value).to.equal('_g')
+      expect(visited.length).to.be.above(count)
+    })
+    it('uses the type index once it exists', () => {
+      const { $ } = getAST(scss)
+      $('variable')
+      const $blocks = $('block')
+      expect([...$.iter.find('variable', $blocks)]).to.deep.equal($blocks.find('variable').nodes)
+    })
+    it('is done once there are no more nodes', () => {
+      const { $ } = getAST(scss)
+      const iterator = $.iter.find('nothing')
+      expect(iterator.next()).to.deep.equal({ value: undefined, done: true })
+      expect(iterator.next().done).to.equal(true)
+    })
+  })
+  describe('#findFirst', () => {
+    it('returns the first node that matches', () => {
+      const { $ } = getAST(scss)
+      expect($.iter.findFirst('variable')).to.equal($('variable').nodes[0])
+      expect($.iter.findFirst('variable', $('rule').last()))
+        .to.equal($('variable').nodes[1])
+      expect($.iter.findFirst('nothing')).to.equal(undefined)
+    })
+  })
+  describe('#some', () => {
+    it('returns true if any node matches', () => {
+      const { $ } = getAST(scss)
+      expect($.iter.some('variable')).to.equal(true)
+      expect($.iter.some('nothing')).to.equal(false)
+    })
+  })
+  describe('#every', () => {
+    it('returns true if every node matches', () => {
+      const { $ } = getAST(scss)
+      expect($.iter.every('*')).to.equal(true)
+      expect($.iter.every('variable')).to.equal(false)
+      expect($.iter.every('variable', $('variable'))).to.equal(true)
+    })
+  })
+})
+
+describe('pattern matching', () => {
+  const scss = `
+    .r { color: $_r; margin: 1px; }
+    .g { color: red; margin: $_g; }
+  `
+  const property = name => ({
+    type: 'property',
+    value: [{ type: 'identifier', value: name }]
+  })
+  describe('#pattern', () => {
+    it('matches nodes against a partial template', () => {
+      const { $ } = getAST(scss)
+      const $declarations = $('declaration').filter($.pattern({
+        value: [property('color'), '$$_']
+      }))
+      expect($declarations.length()).to.equal(2)
+      expect($declarations.find('value').value()).to.equal(' _r red')
+    })
+    it('matches children with selectors and wildcards', () => {
+      const { $ } = getAST(scss)
+      const isColor = $.pattern({
+        type: 'declaration',
+        value: ['_', 'punctuation', { value: ['$$_', 'variable'] }, '_']
+      })
+      expect($('declaration').filter(isColor).find('identifier').value())
+        .to.equal('colormargin')
+    })
+    it('requires arrays without rest captures to have the same length', () => {
+      const { $ } = getAST(scss)
+      expect($('value').filter($.pattern({ value: ['space'] })).length()).to.equal(0)
+      expect($('value').filter($.pattern({ value: ['space', '_'] })).length()).to.equal(3)
+    })
+    it('matches attributes with values, regular expressions and functions', () => {
+      const { $ } = getAST(scss)
+      expect($('*').filter($.pattern({ type: 'variable', value: /^_/ })).length()).to.equal(2)
+      expect($('*').filter($.pattern({
+        type: 'identifier',
+        value: (value) => value.length === 1
+      })).value()).to.equal('rg')
+    })
+    it('throws an error for an invalid template', () => {
+      const { $ } = getAST(scss)
+      expect(() => {
+        $('value').filter($.pattern({ value: ['_', 1] }))
+      }).to.throw(/Invalid template "1"/)
+      expect(() => {
+        $('value').filter($.pattern('$$rest'))
+      }).to.throw(/rest captures can only be used in arrays/)
+    })
+  })
+  describe('#match', () => {
+    it('returns the matches with their captures', () => {
+      const { $ } = getAST(scss)
+      const matches = $.match({
+        type: 'declaration',
+        value: [
+          { type: 'property', value: [{ value: '$name' }] },
+          '_',
+          { value: ['$$_', { $capture: 'variable', type: 'variable' }] },
+          '_'
+        ]
+      })
+      expect(matches.map(({ node, captures }) => [
+        node.node.type,
+        captures.name,
+        captures.variable.node.value
+      ])).to.deep.equal([
+        ['declaration', 'color', '_r'],
+        ['declaration', 'margin', '_g']
+      ])
+      expect(matches[0].captures.variable).to.equal($('variable').nodes[0])
+    })
+    it('captures nodes and rests', () => {
+      const { $ } = getAST(scss)
+      const [{ captures }] = $.match({
+        type: 'value',
+        value: ['$space', '$$rest']
+      }, $('declaration').eq(1))
+      expect(captures.space).to.equal($('value').eq(1).children().nodes[0])
+      expect(captures.rest).to.deep.equal($('value').eq(1).children().nodes.slice(1))
+    })
+    it('requires a repeated capture to match the same value', () => {
+      const { $ } = getAST('.a { a: b; b: b; }')
+      const matches = $.match({
+        type: 'declaration',
+        value: [{ value: [{ value: '$x' }] }, '_', { value: ['_', { value: '$x' }] }, '_']
+      })
+      expect(matches.length).to.equal(1)
+      expect(matches[0].captures.x).to.equal('b')
+    })
+    it('returns matches in the same order as find()', () => {
+      const { $ } = getAST(scss)
+      expect($.match('variable').map(({ node }) => node)).to.deep.equal($('variable').nodes)
+      expect($.match('_', $('property')).map(({ node }) => node))
+        .to.deep.equal($('property').find('*').nodes)
+    })
+  })
+})
+
+describe('$.rewrite', () => {
+  const scss = `
+    .r { margin: 1px 2px; }
+  `
+  const double = {
+    name: 'double',
+    selector: 'number',
+    rewrite: (n) => {
+      const value = Number(n.node.value)
+      if (value < 8) return { type: 'number', value: String(value * 2) }
+    }
+  }
+  it('applies the rules until the tree stops changing', () => {
+    const { $ } = getAST(scss)
+    const report = $.rewrite([double])
+    expect($('number').value()).to.equal('88')
+    expect(report.fixpoint).to.equal(true)
+    expect(report.cycle).to.equal(false)
+    expect(report.iterations).to.equal(4)
+    expect(report.$).to.equal($)
+  })
+  it('reports which rules fired on which nodes', () => {
+    const { $ } = getAST(scss)
+    const report = $.rewrite([double, {
+      selector: 'identifier[value="px"]',
+      rewrite: (n) => { $(n).value('em') }
+    }])
+    expect(report.applied.map(({ rule, iteration, path }) => [rule, iteration, path]))
+      .to.deep.equal([
+        ['double', 1, '/value/1/value/1/value/1/value/2/value/1'],
+        ['double', 1, '/value/1/value/1/value/1/value/2/value/4'],
+        [1, 1, '/value/1/value/1/value/1/value/2/value/2'],
+        [1, 1, '/value/1/value/1/value/1/value/2/value/5'],
+        ['double', 2, '/value/1/value/1/value/1/value/2/value/1'],
+        ['double', 2, '/value/1/value/1/value/1/value/2/value/4'],
+        ['double', 3, '/value/1/value/1/value/1/value/2/value/1']
+      ])
+    expect(report.applied[0].node.node.value).to.equal('1')
+    expect($('value').value()).to.equal(' 8em 8em')
+  })
+  it('skips nodes that were removed by a previous rewrite', () => {
+    const { $ } = getAST(scss)
+    const visited = []
+    const report = $.rewrite([{
+      selector: 'value',
+      rewrite: (n) => { $(n).remove() }
+    }, {
+      selector: 'number',
+      rewrite: (n) => { visited.push(n) }
+    }])
+    expect(visited.length).to.equal(0)
+    expect(report.iterations).to.equal(2)
+    expect(report.applied[0].path).to.equal('/value/1/value/1/value/1/value/2')
+  })
+  it('records each rewrite once', () => {
+    const $ = createQuery({
+      type: 'root',
+      value: [{ type: 'a', value: 'x' }, { type: 'a', value: 'y' }]
+    })
+    const report = $.rewrite([{ selector: 'a', rewrite: () => ({ type: 'c', value: 'z' }) }])
+    expect(report.applied.map((a) => a.path)).to.deep.equal(['/value/0', '/value/1'])
+    expect($.changes().map((changes) => changes.length)).to.deep.equal([2])
+    expect($.toPatch()).to.deep.equal([
+      { op: 'remove', path: '/value/0' },
+      { op: 'add', path: '/value/0', value: { type: 'c', value: 'z' } },
+      { op: 'remove', path: '/value/1' },
+      { op: 'add', path: '/value/1', value: { type: 'c', value: 'z' } }
+    ])
+  })
+  it('uses the index path when getChildren() computes the children', () => {
+    const $ = createQuery({
+      type: 'root',
+      kids: [null, { type: 'a', kids: [] }, { type: 'b', kids: [{ type: 'a' }] }]
+    }, {
+      hasChildren: (node) => Array.isArray(node.kids),
+      getChildren: (node) => node.kids.filter(Boolean)
+    })
+    const report = $.rewrite([{
+      selector: 'a',
+      rewrite: (n) => n.parent.node.type === 'b' ? { type: 'c' } : undefined
+    }])
+    expect(report.applied.map((a) => a.path)).to.deep.equal([[1, 0]])
+    expect($('c').path()).to.deep.equal([1, 0])
+  })
+  it('treats rules that fire without changing the tree as a fixpoint', () => {
+    const { $ } = getAST(scss)
+    const report = $.rewrite([{
+      selector: 'number',
+      rewrite: (n) => { $(n).value('0') }
+    }])
+    expect(report.fixpoint).to.equal(true)
+    expect(report.iterations).to.equal(2)
+  })
+  it('stops when the rules return the tree to a previous state', () => {
+    const { $ } = getAST(scss)
+    const report = $.rewrite([{
+      selector: 'number',
+      rewrite: (n) => { $(n).value(n.node.value === '1' ? '3' : '1') }
+    }])
+    expect(report.fixpoint).to.equal(false)
+    expect(report.cycle).to.equal(true)
+    expect(report.iterations).to.equal(3)
+    expect($('number').value()).to.equal('31')
+  })
+  it('stops after maxIterations', () => {
+    const { $ } = getAST(scss)
+    const report = $.rewrite([{
+      selector: 'number',
+      rewrite: (n) => { $(n).value(String(Number(n.node.value) + 1)) }
+    }], { maxIterations: 5 })
+    expect(report.fixpoint).to.equal(false)
+    expect(report.cycle).to.equal(false)
+    expect(report.iterations).to.equal(5)
+    expect($('number').value()).to.equal('67')
+  })
+  it('is a single modification', () => {
+    const { $ } = getAST(scss)
+    $.rewrite([double])
+    expect($.undo()).to.equal(true)
+    expect($('number').value()).to.equal('12')
+    expect($.undo()).to.equal(false)
+  })
+  it('returns a new $ in immutable mode', () => {
+    const { ast } = getAST(scss)
+    const $ = createQuery(ast, Object.assign({}, createQuery.adapters.scss, {
+      immutable: true
+    }))
+    const report = $.rewrite([double])
+    expect(report.$('number').value()).to.equal('88')
+    expect($('number').value()).to.equal('12')
+  })
+  it('throws an error for an invalid rule', () => {
+    const { $ } = getAST(scss)
+    expect(() => {
+      $.rewrite([{ name: 'broken', selector: 'number' }])
+    }).to.throw(/rule "broken" must have a selector and a rewrite function/)
+    expect(() => {
+      $.rewrite([double], { maxIterations: 0 })
+    }).to.throw(/maxIterations must be a positive integer/)
+  })
+})
+
+describe('$.at', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  it('returns the node at a path', () => {
+    const { $ } = getAST(scss)
+    for (const n of $('*')) {
+      expect($.at($(n).path()).nodes).to.deep.equal([n])
+      expect($.at($(n).path('pointer')).nodes).to.deep.equal([n])
+    }
+  })
+  it('returns an empty QueryWrapper if there is no node at a path', () => {
+    const { $ } = getAST(scss)
+    expect($.at([9]).length()).to.equal(0)
+    expect($.at([1, 0, 0, 0, 0]).length()).to.equal(0)
+    expect($.at('/value/9').length()).to.equal(0)
+    expect($.at('/value').length()).to.equal(0)
+    expect($.at('/value/01').length()).to.equal(0)
+    expect($.at('/type').length()).to.equal(0)
+  })
+  it('resolves the paths of lint diagnostics', () => {
+    const { $ } = getAST(scss)
+    const diagnostics = $.lint([{
+      id: 'no-variables',
+      selector: 'variable',
+      check: (n, report) => report('Unexpected variable')
+    }])
+    expect(diagnostics.map((d) => $.at(d.path).nodes[0])).to.deep.equal($('variable').nodes)
+  })
+  it('throws an error for an invalid path', () => {
+    const { $ } = getAST(scss)
+    expect(() => $.at(['a'])).to.throw(/a path must be an array of child indexes or a JSON Pointer/)
+    expect(() => $.at('value')).to.throw(/Invalid JSON Pointer/)
+  })
+})
+
+describe('source locations', () => {
+  const scss = [
+    '.a {',
+    '  color: $b;',
+    '}'
+  ].join('\n')
+  describe('#location', () => {
+    it('returns the location of the first node', () => {
+      const { $ } = getAST(scss)
+      expect($('variable').location()).to.deep.equal({
+        start: { line: 2, column: 9 },
+        end: { line: 2, column: 11 }
+      })
+      expect($('declaration').location()).to.deep.equal({
+        start: { line: 2, column: 2 },
+        end: { line: 2, column: 12 }
+      })
+      expect($('nothing').location()).to.equal(undefined)
+    })
+    it('returns null if the location is unknown', () => {
+      const $ = createQuery({ type: 'program', value: [] })
+      expect($().location()).to.equal(null)
+    })
+  })
+  describe('#nodeAt', () => {
+    it('returns the innermost node at a position', () => {
+      const { $ } = getAST(scss)
+      expect($.nodeAt(2, 9).nodes).to.deep.equal($('variable').nodes)
+      expect($.nodeAt(2, 10).nodes).to.deep.equal($('variable').nodes)
+      expect($.nodeAt(2, 8).nodes).to.deep.equal($('value > space').nodes)
+      expect($.nodeAt(1, 1).nodes).to.deep.equal($('class > identifier').nodes)
+      expect($.nodeAt(2, 11).nodes).to.deep.equal($('punctuation').last().nodes)
+    })
+    it('returns an empty QueryWrapper outside of every node', () => {
+      const { $ } = getAST(scss)
+      expect($.nodeAt(4, 0).length()).to.equal(0)
+    })
+    it('searches nodes without a location', () => {
+      const $ = createQuery({
+        type: 'program',
+        value: [{
+          type: 'group',
+          value: [{ type: 'item', value: 'a', loc: { start: { line: 1, column: 0 }, end: { line: 1, column: 1 } } }]
+        }]
+      }, { getLocation: (node) => node.loc || null })
+      expect($.nodeAt(1, 0).nodes).to.deep.equal($('item').nodes)
+      expect($.nodeAt(1, 1).length()).to.equal(0)
+    })
+    it('throws an error for an invalid position', () => {
+      const { $ } = getAST(scss)
+      expect(() => $.nodeAt(1)).to.throw(/a position must have a line and a column/)
+    })
+  })
+  describe('#nodesInRange', () => {
+    it('returns the nodes between two positions', () => {
+      const { $ } = getAST(scss)
+      const $nodes = $.nodesInRange({ line: 2, column: 2 }, { line: 2, column: 8 })
+      expect($nodes.map((n) => n.node.type)).to.deep.equal([
+        'property', 'identifier', 'punctuation'
+      ])
+      expect($.nodesInRange({ line: 1, column: 0 }, { line: 3, column: 1 }).nodes)
+        .to.deep.equal($('rule').find('*').nodes)
+    })
+    it('throws an error for an invalid position', () => {
+      const { $ } = getAST(scss)
+      expect(() => $.nodesInRange({ line: 1 }, { line: 1, column: 0 }))
+        .to.throw(/a position must have a line and a column/)
+    })
+  })
+})
+
+describe('lint', () => {
+  const scss = `
+    .a { color: red; margin: 0px; }
+    .b { color: $_b; }
+  `
+  const noColorNames = {
+    id: 'no-color-names',
+    selector: 'value > space + identifier',
+    check: (n, report) => report({
+      message: `Unexpected color "${n.node.value}"`
+    })
+  }
+  const noZeroUnits = (severity) => ({
+    id: 'no-zero-units',
+    selector: 'number[value="0"] + identifier',
+    severity,
+    check: (n, report) => report({
+      message: 'Unexpected unit',
+      node: n.parent,
+      location: n.node.start,
+      fix: () => {}
+    })
+  })
+  describe('#lint', () => {
+    it('returns a diagnostic for each problem', () => {
+      const { $ } = getAST(scss)
+      const diagnostics = $.lint([noColorNames, noZeroUnits('warning')])
+      expect(diagnostics.map(({ ruleId, severity, message, path, location }) => ({
+        ruleId, severity, message, path, location
+      }))).to.deep.equal([
+        {
+          ruleId: 'no-color-names',
+          severity: 'error',
+          message: 'Unexpected color "red"',
+          path: '/value/1/value/1/value/1/value/2/value/1',
+          location: $('identifier[value="red"]').location()
+        },
+        {
+          ruleId: 'no-zero-units',
+          severity: 'warning',
+          message: 'Unexpected unit',
+          path: '/value/1/value/1/value/3/value/2',
+          location: $('number').next().nodes[0].node.start
+        }
+      ])
+      expect(diagnostics[0].node).to.equal($('identifier[value="red"]').nodes[0])
+      expect(diagnostics[1].node).to.equal($('number').parent().nodes[0])
+      expect(diagnostics[0]).not.to.have.property('fix')
+      expect(diagnostics[1].fix).to.be.a('function')
+    })
+    it('checks each node once with each matching rule', () => {
+      const { $ } = getAST(scss)
+      const visited = []
+      const rule = (id) => ({
+        id,
+        selector: '*',
+        check: (n) => visited.push([id, n])
+      })
+      $.lint([rule('a'), rule('b')])
+      const nodes = $('*').nodes
+      expect(visited.map(([id]) => id))
+        .to.deep.equal(nodes.map(() => ['a', 'b']).reduce((a, b) => a.concat(b)))
+      expect(visited.filter(([id]) => id === 'a').map(([id, n]) => n))
+        .to.deep.equal(nodes)
+    })
+    it('accepts messages as strings', () => {
+      const { $ } = getAST(scss)
+      const [diagnostic] = $.lint([{
+        id: 'no-variables',
+        selector: 'variable',
+        severity: 'info',
+        check: (n, report) => report('Unexpected variable')
+      }])
+      expect(diagnostic.message).to.equal('Unexpected variable')
+      expect(diagnostic.severity).to.equal('info')
+      expect(diagnostic.node.node.value).to.equal('_b')
+    })
+    it('overrides the severity of rules', () => {
+      const { $ } = getAST(scss)
+      const rules = [noColorNames, noZeroUnits()]
+      expect($.lint(rules, { severity: { 'no-color-names': 'off' } }).map((d) => d.ruleId))
+        .to.deep.equal(['no-zero-units'])
+      expect($.lint(rules, { severity: { 'no-zero-units': 'info' } }).map((d) => d.severity))
+        .to.deep.equal(['error', 'info'])
+    })
+    it('uses the index path when getChildren() computes the children', () => {
+      const $ = createQuery({
+        type: 'root',
+        kids: [null, { type: 'a', kids: [] }, { type: 'b', kids: [{ type: 'a' }] }]
+      }, {
+        hasChildren: (node) => Array.isArray(node.kids),
+        getChildren: (node) => node.kids.filter(Boolean)
+      })
+      const diagnostics = $.lint([{ id: 'no-a', selector: 'a', check: (n, report) => report('a') }])
+      expect(diagnostics.map((d) => d.path)).to.deep.equal([[0], [1, 0]])
+      expect($.at(diagnostics[1].path).nodes).to.deep.equal([diagnostics[1].node])
+    })
+    it('throws an error for an invalid rule', () => {
+      const { $ } = getAST(scss)
+      expect(() => $.lint([{ selector: '*', check: () => {} }]))
+        .to.throw(/a lint rule must have an id/)
+      expect(() => $.lint([{ id: 'a', check: () => {} }]))
+        .to.throw(/lint rule "a" must have a selector and a check function/)
+      expect(() => $.lint([noZeroUnits('fatal')]))
+        .to.throw(/lint rule "no-zero-units" has an invalid severity "fatal"/)
+      expect(() => $.lint([{ id: 'a', selector: '*', check: (n, report) => report({}) }]))
+        .to.throw(/lint rule "a" must report a message/)
+    })
+  })
+  describe('#fix', () => {
+    const noZeroUnits = {
+      id: 'no-zero-units',
+      selector: 'number[value="0"] + identifier',
+      check: (n, report) => report({
+        message: 'Unexpected unit',
+        fix: () => { $(n).remove() }
+      })
+    }
+    let $
+    it('applies the fixes as a single modification', () => {
+      $ = getAST('.a { margin: 0px 0em; }').$
+      expect($.fix($.lint([noZeroUnits]))).to.equal($)
+      expect($('value').value()).to.equal(' 0 0')
+      expect($.lint([noZeroUnits]).length).to.equal(0)
+      expect($.undo()).to.equal(true)
+      expect($('value').value()).to.equal(' 0px 0em')
+    })
+    it('skips fixes for nodes that were removed', () => {
+      $ = getAST('.a { margin: 0px; }').$
+      const diagnostics = $.lint([noZeroUnits, {
+        id: 'no-margin',
+        selector: 'declaration',
+        check: (n, report) => report({
+          message: 'Unexpected margin',
+          fix: () => { $(n).remove() }
+        })
+      }])
+      expect(diagnostics.map((d) => d.ruleId)).to.deep.equal(['no-margin', 'no-zero-units'])
+      $.fix(diagnostics)
+      expect($('declaration').length()).to.equal(0)
+      expect($.changes()[0].length).to.equal(1)
+    })
+  })
+})
+
+describe('document order', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; margin: 0; }
+  `
+  const types = ($nodes) => $nodes.map((n) => n.node.type)
+  describe('$.compareDocumentPosition', () => {
+    it('compares the position of two nodes', () => {
+      const { $ } = getAST(scss)
+      const [r, g] = $('rule').nodes
+      const variable = $('variable').nodes[0]
+      for (let i = 0; i < 2; i++) {
+        expect($.compareDocumentPosition(r, g)).to.equal(-1)
+        expect($.compareDocumentPosition(g, r)).to.equal(1)
+        expect($.compareDocumentPosition(r, variable)).to.equal(-1)
+        expect($.compareDocumentPosition(variable, g)).to.equal(-1)
+        expect($.compareDocumentPosition(g, g)).to.equal(0)
+        // Compare again once the type index exists
+        $('rule')
+      }
+    })
+    it('throws an error for anything but NodeWrappers', () => {
+      const { $ } = getAST(scss)
+      expect(() => $.compareDocumentPosition($('rule'), $('rule')))
+        .to.throw(/compareDocumentPosition\(\) requires two NodeWrappers/)
+    })
+  })
+  describe('#sort', () => {
+    it('sorts the nodes in document order', () => {
+      const { $ } = getAST(scss)
+      const nodes = $('rule, declaration, variable').nodes
+      const $shuffled = $(nodes.slice().reverse())
+      expect($shuffled.nodes).not.to.deep.equal(nodes)
+      expect($shuffled.sort().nodes).to.deep.equal(nodes)
+      expect($shuffled.inDocumentOrder().nodes).to.deep.equal(nodes)
+      expect(nodes.slice().reverse().sort($.compareDocumentPosition)).to.deep.equal(nodes)
+    })
+    it('sorts the nodes with a compare function', () => {
+      const { $ } = getAST(scss)
+      const $sorted = $('identifier').sort((a, b) => a.node.value < b.node.value ? -1 : 1)
+      expect($sorted.map((n) => n.node.value)).to.deep.equal(['color', 'color', 'g', 'margin', 'r'])
+      expect(() => $().sort('value')).to.throw(/sort\(\) requires a compare function/)
+    })
+  })
+  describe('set methods', () => {
+    it('returns ancestors before their descendants', () => {
+      const { $ } = getAST(scss)
+      expect(types($('rule, block, declaration').first().parent().add($('declaration')))).to.deep.equal([
+        'stylesheet', 'declaration', 'declaration', 'declaration'
+      ])
+      expect(types($(/^(rule|block|selector)$/))).to.deep.equal([
+        'rule', 'selector', 'block', 'rule', 'selector', 'block'
+      ])
+      expect([...$.iter.find(/^(rule|block|selector)$/)]).to.deep.equal($(/^(rule|block|selector)$/).nodes)
+    })
+    it('finds nodes in nested and unordered contexts in document order', () => {
+      const { $ } = getAST(scss)
+      const contexts = $('declaration').add($('rule').last()).nodes.reverse()
+      const expected = $('declaration').add($('rule').last()).find('identifier').nodes
+      expect($(contexts).find('identifier').nodes).to.deep.equal(expected)
+      expect($(contexts).find((n) => n.node.type === 'identifier').nodes).to.deep.equal(expected)
+      expect([...$.iter.find('identifier', contexts)]).to.deep.equal(expected)
+      expect(expected.map((n) => n.node.value)).to.deep.equal(['color', 'g', 'color', 'margin'])
+    })
+    it('sorts the results of concat, children and closest', () => {
+      const { $ } = getAST(scss)
+      const $variables = $('variable').last().concat($('variable').first())
+      expect($variables.nodes).to.deep.equal($('variable').nodes)
+      const $parents = $($('value').nodes.concat($('declaration').nodes).reverse())
+      expect($parents.children().nodes).to.deep.equal(
+        $('*').filter((n) => $parents.is(n.parent)).nodes
+      )
+      expect($($('variable').nodes.reverse()).closest('rule').nodes).to.deep.equal($('rule').nodes)
+    })
+  })
+})
+
+describe('options.immutable', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  const getImmutableAST = (scss) => {
+    const { ast } = getAST(scss)
+    return createQuery(ast, { immutable: true })
+  }
+  it('throws an error if immutable is not a boolean', () => {
+    expect(() => {
+      createQuery({}, { immutable: 'yes' })
+    }).to.throw(/immutable/)
+  })
+  it('returns a new query function for a new AST', () => {
+    const $ = getImmutableAST(scss)
+    const before = $().get(0)
+    const $next = $('variable').first().remove()
+    expect($next).to.be.a('function')
+    expect($next).to.not.equal($)
+    expect($().get(0)).to.deep.equal(before)
+    expect($('variable').value()).to.equal('_r_g')
+    expect($next('variable').value()).to.equal('_g')
+  })
+  it('shares the nodes that did not change', () => {
+    const $ = getImmutableAST(scss)
+    const $next = $('rule:nth-of-type(2) variable').value('_b')
+    const [, r, , g] = $.ast.value
+    const [, nextR, , nextG] = $next.ast.value
+    expect($next.ast).to.not.equal($.ast)
+    expect(nextR).to.equal(r)
+    expect(nextG).to.not.equal(g)
+    expect(nextG.value[0]).to.equal(g.value[0])
+    expect($next('variable').value()).to.equal('_r_b')
+  })
+  it('returns the same query function if nothing changed', () => {
+    const $ = getImmutableAST(scss)
+    expect($('nothing').remove()).to.equal($)
+    expect($().walk({ enter: () => {} })).to.equal($)
+  })
+  it('supports every modification', () => {
+    const $ = getImmutableAST(scss)
+    const $next = $('class').last()
+      .moveTo($('selector').first(), 'prepend')('block').first()
+      .append({ type: 'space', value: ' ' })('space').first()
+      .attr('value', '  ')('rule').last()
+      .walk({ block: (n, ctl) => ctl.remove() })
+    expect($next('selector').value()).to.equal('gr  ')
+    expect($next('block').length()).to.equal(1)
+    expect($('selector').value()).to.equal('r g ')
+    expect($('block').length()).to.equal(2)
+  })
+  it('reverts the changes if a modification throws an error', () => {
+    const $ = getImmutableAST(scss)
+    const before = $().get(0)
+    expect(() => {
+      $().walk({
+        variable: (n, ctl) => ctl.remove(),
+        stylesheet: { exit: () => { throw new Error('failed') } }
+      })
+    }).to.throw(/failed/)
+    expect($().get(0)).to.deep.equal(before)
+  })
+})
+
+describe('history', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  describe('#undo', () => {
+    it('reverts the most recent modification', () => {
+      const { $ } = getAST(scss)
+      const before = $().get(0)
+      $('variable').first().remove()
+      $('variable').value('_b')
+      expect($('variable').value()).to.equal('_b')
+      expect($.undo()).to.equal(true)
+      expect($('variable').value()).to.equal('_g')
+      expect($.undo()).to.equal(true)
+      expect($().get(0)).to.deep.equal(before)
+      expect($.undo()).to.equal(false)
+    })
+    it('restores parent links', () => {
+      const { $ } = getAST(scss)
+      const $variable = $('variable').first()
+      $('block').first().unwrap()
+      $.undo()
+      expect($variable.closest('rule').length()).to.equal(1)
+      expect($('rule').first().find('variable').value()).to.equal('_r')
+    })
+    it('throws an error in immutable mode', () => {
+      const { ast } = getAST(scss)
+      const $ = createQuery(ast, { immutable: true })
+      expect(() => $.undo()).to.throw(/immutable/)
+      expect(() => $.redo()).to.throw(/immutable/)
+    })
+  })
+  describe('#redo', () => {
+    it('applies undone modifications again', () => {
+      const { $ } = getAST(scss)
+      $('variable').first().remove()
+      $('rule').last().append({ type: 'space', value: ' ' })
+      const after = $().get(0)
+      $.undo()
+      $.undo()
+      expect($.redo()).to.equal(true)
+      expect($.redo()).to.equal(true)
+      expect($.redo()).to.equal(false)
+      expect($().get(0)).to.deep.equal(after)
+    })
+    it('clears the undone modifications after a new modification', () => {
+      const { $ } = getAST(scss)
+      $('variable').first().remove()
+      $.undo()
+      $('variable').last().remove()
+      expect($.redo()).to.equal(false)
+      expect($('variable').value()).to.equal('_r')
+    })
+  })
+  describe('#transaction', () => {
+    it('undoes a transaction as a single modification', () => {
+      const { $ } = getAST(scss)
+      const before = $().get(0)
+      expect($.transaction(() => {
+        $('variable').first().remove()
+        $('variable').value('_b')
+      })).to.equal($)
+      expect($('variable').value()).to.equal('_b')
+      $.undo()
+      expect($().get(0)).to.deep.equal(before)
+    })
+    it('reverts every change if the function throws an error', () => {
+      const { $ } = getAST(scss)
+      const before = $().get(0)
+      expect(() => {
+        $.transaction(() => {
+          $('variable').remove()
+          throw new Error('failed')
+        })
+      }).to.throw(/failed/)
+      expect($().get(0)).to.deep.equal(before)
+      expect($.undo()).to.equal(false)
+    })
+    it('returns a new query function in immutable mode', () => {
+      const { ast } = getAST(scss)
+      const $ = createQuery(ast, { immutable: true })
+      const $next = $.transaction(() => {
+        $('variable').first().remove()
+        $('variable').value('_b')
+      })
+      expect($('variable').value()).to.equal('_r_g')
+      expect($next('variable').value()).to.equal('_b')
+    })
+    it('throws an error if fn is not a function', () => {
+      const { $ } = getAST(scss)
+      expect(() => $.transaction()).to.throw(/function/)
+    })
+  })
+  describe('#changes', () => {
+    it('returns the changes of each modification', () => {
+      const { $ } = getAST(scss)
+      const $variable = $('variable').first()
+      const index = $variable.index()
+      const [parent] = $variable.parent().nodes
+      $variable.remove()
+      $('variable').value('_b')
+      const changes = $.changes()
+      expect(changes).to.have.length(2)
+      expect(changes[0]).to.have.length(1)
+      expect(changes[0][0]).to.include({ type: 'splice', parent, index })
+      expect(changes[0][0].removed).to.deep.equal($variable.nodes)
+      expect(changes[0][0].inserted).to.deep.equal([])
+      expect(changes[1][0].type).to.equal('node')
+      expect(changes[1][0].before.value).to.equal('_g')
+      expect(changes[1][0].after.value).to.equal('_b')
+      $.undo()
+      expect($.changes()).to.have.length(1)
+    })
+    it('ignores modifications that did not change anything', () => {
+      const { $ } = getAST(scss)
+      $('nothing').remove()
+      $.transaction(() => {})
+      expect($.changes()).to.have.length(0)
+    })
+  })
+})
+
+describe('JSON Patch', () => {
+  const scss = `
+    .r { color: $_r; }
+    .g { color: $_g; }
+  `
+  describe('#diff', () => {
+    it('returns the operations that turn the tree into another AST', () => {
+      const { $ } = getAST(scss)
+      const { ast } = getAST(`
+    .r { color: $_b; }
+  `)
+      const ops = $.diff(ast)
+      expect(ops).to.deep.include({
+        op: 'replace',
+        path: '/value/1/value/1/value/1/value/2/value/1/value',
+        value: '_b'
+      })
+      $.applyPatch(ops)
+      expect($().get(0)).to.deep.equal(ast)
+      expect($.diff(ast)).to.deep.equal([])
+    })
+    it('replaces nodes of a different type', () => {
+      const $ = createQuery({ type: 'program', value: [{ type: 'a', value: [] }] })
+      const other = { type: 'program', value: [{ type: 'b', value: 'b' }] }
+      expect($.diff(other)).to.deep.equal([{
+        op: 'replace',
+        path: '/value/0',
+        value: { type: 'b', value: 'b' }
+      }])
+    })
+    it('removes and adds children', () => {
+      const $ = createQuery({
+        type: 'program',
+        value: [{ type: 'a', value: 'a' }, { type: 'b', value: 'b' }]
+      })
+      const other = {
+        type: 'program',
+        value: [{ type: 'b', value: 'b' }, { type: 'c', value: 'c' }]
+      }
+      expect($.diff(other)).to.deep.equal([
+        { op: 'remove', path: '/value/0' },
+        { op: 'add', path: '/value/1', value: { type: 'c', value: 'c' } }
+      ])
+    })
+    it('compares modified trees in immutable mode', () => {
+      const { ast } = getAST(scss)
+      const $ = createQuery(ast, { immutable: true })
+      const $next = $('variable').first().remove()
+      const ops = $.diff($next.ast)
+      expect(ops).to.have.length(1)
+      expect(ops[0].op).to.equal('remove')
+      expect($.applyPatch(ops).ast).to.deep.equal($next.ast)
+    })
+  })
+  describe('#toPatch', () => {
+    it('returns the modifications as operations', () => {
+      const { ast, $ } = getAST(scss)
+      const original = $().get(0)
+      $('variable').first().remove()
+      $('variable').value('_b')
+      const ops = $.toPatch()
+      expect(ops[0]).to.deep.equal({
+        op: 'remove',
+        path: '/value/1/value/1/value/1/value/2/value/1'
+      })
+      expect(ops[1]).to.include({ op: 'replace', value: '_b' })
+      expect(ops[1].path).to.match(/\/value$/)
+      expect($().get(0)).to.not.deep.equal(original)
+      const $other = createQuery(ast)
+      $other.applyPatch(ops)
+      expect($other().get(0)).to.deep.equal($().get(0))
+    })
+    it('describes replaced children', () => {
+      const { $ } = getAST(scss)
+      $('variable').last().replaceWith({ type: 'number', value: '1' })
+      expect($.toPatch()).to.deep.equal([{
+        op: 'remove',
+        path: '/value/3/value/1/value/1/value/2/value/1'
+      }, {
+        op: 'add',
+        path: '/value/3/value/1/value/1/value/2/value/1',
+        value: { type: 'number', value: '1' }
+      }])
+    })
+    it('leaves out undone modifications', () => {
+      const { $ } = getAST(scss)
+      $('variable').remove()
+      $.undo()
+      expect($.toPatch()).to.deep.equal([])
+    })
+    const tree = () => ({
+      type: 'root',
+      value: [
+        { type: 'b', value: [{ type: 'a', value: 'a' }] },
+        { type: 'd', value: 'd' }
+      ]
+    })
+    it('leaves out changes to nodes that are inserted later', () => {
+      const $ = createQuery(tree())
+      const $clone = $('b').clone()
+      $clone.children().value('x')
+      $('b').after($clone)
+      const json = $().get(0)
+      expect($.toPatch()).to.deep.equal([{
+        op: 'add',
+        path: '/value/1',
+        value: { type: 'b', value: [{ type: 'a', value: 'x' }] }
+      }])
+      expect($().get(0)).to.deep.equal(json)
+      const $other = createQuery(tree())
+      $other.applyPatch($.toPatch())
+      expect($other().get(0)).to.deep.equal(json)
+    })
+    it('leaves out changes to nodes that were removed', () => {
+      const $ = createQuery(tree())
+      const $b = $('b')
+      $b.remove()
+      $b.find('a').remove()
+      $('d').remove()
+      expect($.toPatch()).to.deep.equal([
+        { op: 'remove', path: '/value/0' },
+        { op: 'remove', path: '/value/0' }
+      ])
+      expect($().get(0)).to.deep.equal({ type: 'root', value: [] })
+      expect($.changes()).to.have.length(3)
+    })
+  })
+  describe('#applyPatch', () => {
+    const ast = {
+      type: 'program',
+      value: [
+        { type: 'item', value: 'a' },
+        { type: 'container', value: [{ type: 'item', value: 'b' }] }
+      ]
+    }
+    it('applies operations to nodes and properties', () => {
+      const $ = createQuery(ast)
+      $.applyPatch([
+        { op: 'add', path: '/value/1/value/-', value: { type: 'item', value: 'c' } },
+        { op: 'move', from: '/value/0', path: '/value/-' },
+        { op: 'copy', from: '/value/0/value/0', path: '/value/0/value/0' },
+        { op: 'replace', path: '/value/1/value', value: 'd' },
+        { op: 'add', path: '/value/0/tags', value: ['e'] },
+        { op: 'add', path: '/value/0/tags/0', value: 'f' },
+        { op: 'test', path: '/value/0/value/2', value: { type: 'item', value: 'c' } }
+      ])
+      expect($().get(0)).to.deep.equal({
+        type: 'program',
+        value: [{
+          type: 'container',
+          value: [
+            { type: 'item', value: 'b' },
+            { type: 'item', value: 'b' },
+            { type: 'item', value: 'c' }
+          ],
+          tags: ['f', 'e']
+        }, {
+          type: 'item',
+          value: 'd'
+        }]
+      })
+      expect($('container > item').length()).to.equal(3)
+    })
+    it('replaces the root node', () => {
+      const $ = createQuery(ast)
+      $.applyPatch([{ op: 'replace', path: '', value: { type: 'program', value: [] } }])
+      expect($('item').length()).to.equal(0)
+      $.undo()
+      expect($('item').length()).to.equal(2)
+    })
+    it('applies every operation or none of them', () => {
+      const $ = createQuery(ast)
+      expect(() => {
+        $.applyPatch([
+          { op: 'remove', path: '/value/0' },
+          { op: 'test', path: '/value/0/type', value: 'item' }
+        ])
+      }).to.throw(/Test of "\/value\/0\/type" failed/)
+      expect($().get(0)).to.deep.equal(ast)
+    })
+    it('can be undone as a single modification', () => {
+      const $ = createQuery(ast)
+      $.applyPatch([
+        { op: 'remove', path: '/value/0' },
+        { op: 'remove', path: '/value/0' }
+      ])
+      expect($('item').length()).to.equal(0)
+      $.undo()
+      expect($().get(0)).to.deep.equal(ast)
+    })
+    it('throws an error if a path does not exist', () => {
+      const $ = createQuery(ast)
+      expect(() => {
+        $.applyPatch([{ op: 'remove', path: '/value/5' }])
+      }).to.throw(/out of bounds/)
+      expect(() => {
+        $.applyPatch([{ op: 'remove', path: '/value/0/nothing' }])
+      }).to.throw(/does not exist/)
+      expect(() => {
+        $.applyPatch([{ op: 'remove', path: '' }])
+      }).to.throw(/root/)
+    })
   })
 })
 
@@ -79,6 +1260,16 @@ describe('$', () => {
       expect(numbers.value).to.deep.equal('2')
     })
   })
+  describe('#[Symbol.iterator]', () => {
+    it('iterates over the NodeWrappers', () => {
+      const { $ } = getAST('.r { color: $_r; } .g { color: $_g; }')
+      const $variables = $('variable')
+      expect([...$variables]).to.deep.equal($variables.nodes)
+      const values = []
+      for (const n of $variables) values.push(n.node.value)
+      expect(values).to.deep.equal(['_r', '_g'])
+    })
+  })
   describe('#length', () => {
     it('returns length of the current selection', () => {
       const { $ } = getAST(`
@@ -111,6 +1302,34 @@ describe('$', () => {
       expect(index).to.equal(1)
     })
   })
+  describe('#path', () => {
+    it('returns the child indexes of the first node', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+      `)
+      expect($('variable').path()).to.deep.equal([1, 1, 1, 2, 1])
+      expect($().path()).to.deep.equal([])
+      expect($('nothing').path()).to.equal(undefined)
+    })
+    it('returns a JSON Pointer', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+      `)
+      const pointer = $('variable').path('pointer')
+      expect(pointer).to.equal('/value/1/value/1/value/1/value/2/value/1')
+      expect($().path('pointer')).to.equal('')
+    })
+    it('throws an error for a detached node', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+      `)
+      const $variable = $('variable')
+      $('value').remove()
+      expect(() => $variable.path()).to.throw(/a detached node has no path/)
+      expect(() => $variable.path('pointer')).to.throw(/a detached node has no path/)
+      expect(() => $().path('json')).to.throw(/format must be "index" or "pointer"/)
+    })
+  })
   describe('#after', () => {
     it('inserts a node after', () => {
       const { $ } = getAST(`
@@ -125,6 +1344,17 @@ describe('$', () => {
         )
       expect($().find('class').value()).to.equal('rgzb')
     })
+    it('inserts multiple nodes after', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('number').after(
+        { type: 'identifier', value: 'em' },
+        { type: 'space', value: ' ' }
+      )
+      expect($('value').value()).to.equal(' 1em px 2em px')
+      expect($('identifier').closest('value').length()).to.equal(1)
+    })
   })
   describe('#before', () => {
     it('inserts a node after', () => {
@@ -140,6 +1370,69 @@ describe('$', () => {
         )
       expect($().find('class').value()).to.equal('zrgb')
     })
+    it('inserts multiple nodes before', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('number').before([
+        { type: 'identifier', value: 'a' },
+        { type: 'identifier', value: 'b' }
+      ])
+      expect($('value').value()).to.equal(' ab1px ab2px')
+    })
+  })
+  describe('#append', () => {
+    it('inserts nodes at the end of the children', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('value').append(
+        { type: 'space', value: ' ' },
+        [{ type: 'number', value: '3' }, { type: 'identifier', value: 'px' }]
+      )
+      expect($('value').value()).to.equal(' 1px 2px 3px')
+      expect($('number').last().parent().get(0).type).to.equal('value')
+    })
+    it('copies NodeWrappers and QueryWrappers', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('value').append($('number'), $('identifier').first())
+      expect($('value').value()).to.equal(' 1px 2px12px')
+      expect($('number').length()).to.equal(4)
+      expect($('value > number').map((n) => n.parent.node.type))
+        .to.deep.equal(['value', 'value', 'value', 'value'])
+    })
+  })
+  describe('#prepend', () => {
+    it('inserts nodes at the beginning of the children', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('value').prepend({ type: 'number', value: '0' })
+      expect($('value').value()).to.equal('0 1px 2px')
+    })
+  })
+  describe('#appendTo', () => {
+    it('inserts a copy of the nodes into each target', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      $('class').first().appendTo('rule > selector')
+      expect($('selector').value()).to.equal('r rg r')
+      expect($('rule:nth-of-type(1) > selector > class').value()).to.equal('rr')
+    })
+  })
+  describe('#prependTo', () => {
+    it('inserts a copy of the nodes into each target', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      $('class').last().prependTo($('selector').first())
+      expect($('selector').value()).to.equal('gr g ')
+    })
   })
   describe('#remove', () => {
     it('removes a node', () => {
@@ -154,6 +1447,149 @@ describe('$', () => {
       expect(rulesAfter).to.deep.equal([rulesBefore[0], rulesBefore[2]])
     })
   })
+  describe('#detach', () => {
+    it('detaches nodes so they can be inserted somewhere else', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      const $variable = $('variable').first().detach()
+      expect($variable.parent().length()).to.equal(0)
+      expect($('variable').length()).to.equal(1)
+      $('variable').after($variable)
+      expect($variable.parents('rule').find('class').value()).to.equal('g')
+      expect($variable.index()).to.equal(2)
+      expect($('variable').value()).to.equal('_g_r')
+    })
+    it('re-links nodes that are removed and inserted', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      const $declaration = $('declaration').first().remove()
+      $('declaration').before($declaration)
+      expect($declaration.closest('rule').find('class').value()).to.equal('g')
+      expect($('rule').last().find('variable').value()).to.equal('_r_g')
+    })
+  })
+  describe('#moveTo', () => {
+    const scss = `
+      .r { color: $_r; }
+      .g { color: $_g; }
+    `
+    it('appends nodes to the target by default', () => {
+      const { $ } = getAST(scss)
+      const $declaration = $('declaration').first()
+      $declaration.moveTo($('block').last())
+      expect($('rule').first().find('declaration').length()).to.equal(0)
+      expect($('block').last().children('declaration').length()).to.equal(2)
+      expect($declaration.parent().get(0)).to.deep.equal($('block').get(1))
+      expect($declaration.index()).to.equal(3)
+    })
+    it('moves nodes to a position relative to the target', () => {
+      const { $ } = getAST(scss)
+      $('class').moveTo('rule:nth-of-type(2) > selector', 'prepend')
+      expect($('selector').value()).to.equal(' rg ')
+      $('variable').first().moveTo($('variable').last(), 'after')
+      expect($('value').last().children('variable').length()).to.equal(2)
+      $('class').last().moveTo($('class').first(), 'before')
+      expect($('class').value()).to.equal('gr')
+    })
+    it('keeps the identity of the moved nodes', () => {
+      const { $ } = getAST(scss)
+      const variable = $('variable').first().nodes[0]
+      $(variable).moveTo('value', 'prepend')
+      expect($('variable').nodes[0]).to.equal(variable)
+    })
+    it('throws an error when moving a node into itself', () => {
+      const { $ } = getAST(scss)
+      expect(() => {
+        $('rule').first().moveTo('block')
+      }).to.throw(/itself/)
+    })
+    it('throws an error for an invalid position', () => {
+      const { $ } = getAST(scss)
+      expect(() => {
+        $('variable').moveTo('block', 'inside')
+      }).to.throw(/position/)
+      expect(() => {
+        $('variable').moveTo('stylesheet', 'after')
+      }).to.throw(/root/)
+    })
+  })
+  describe('#clone', () => {
+    it('creates detached copies of the nodes', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+      `)
+      const $copy = $('declaration').clone()
+      expect($copy.parent().length()).to.equal(0)
+      expect($copy.get()).to.deep.equal($('declaration').get())
+      $('block').append($copy)
+      expect($('declaration').length()).to.equal(2)
+      expect($copy.closest('rule').length()).to.equal(1)
+    })
+  })
+  describe('#empty', () => {
+    it('removes all children', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      $('block').empty()
+      expect($('declaration').length()).to.equal(0)
+      expect($('block').get().map((n) => n.value)).to.deep.equal([[], []])
+    })
+  })
+  describe('#replaceWith', () => {
+    it('replaces each node with the provided nodes', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('number').replaceWith([
+        { type: 'number', value: '3' },
+        { type: 'number', value: '4' }
+      ])
+      expect($('value').value()).to.equal(' 34px 34px')
+    })
+    it('replaces each node with a copy of a QueryWrapper', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('identifier').replaceWith($('number').first())
+      expect($('value').value()).to.equal(' 11 21')
+      expect($('value > number').length()).to.equal(4)
+    })
+  })
+  describe('#wrap', () => {
+    it('wraps each node with a copy of a node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('number').wrap({ type: 'parentheses', value: [] })
+      expect($('parentheses > number').length()).to.equal(2)
+      expect($('value > parentheses + identifier').length()).to.equal(2)
+      expect($('value').value()).to.equal(' 1px 2px')
+    })
+    it('throws an error if the node can not have children', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect(() => {
+        $('number').wrap({ type: 'space', value: ' ' })
+      }).to.throw(/children/)
+    })
+  })
+  describe('#unwrap', () => {
+    it('replaces the parent of each node with its children', () => {
+      const { $ } = getAST(`
+        .r { color: #{$_r}; }
+      `)
+      $('variable').unwrap()
+      expect($('interpolation').length()).to.equal(0)
+      expect($('value > variable').value()).to.equal('_r')
+    })
+  })
   describe('#map', () => {
     it('works', () => {
       const { $ } = getAST(`
@@ -176,6 +1612,137 @@ describe('$', () => {
       expect(numbers).to.deep.equal('123')
     })
   })
+  describe('#walk', () => {
+    const scss = `
+      .r { color: $_r; }
+      .g { color: #{$_g}; }
+    `
+    it('visits nodes in document order', () => {
+      const { $ } = getAST(scss)
+      const entered = []
+      const exited = []
+      $('rule').first().walk({
+        enter: (n) => entered.push(n.node.type),
+        exit: (n) => exited.push(n.node.type)
+      })
+      expect(entered.slice(0, 4)).to.deep.equal([
+        'rule', 'selector', 'class', 'identifier'
+      ])
+      expect(exited.slice(0, 3)).to.deep.equal([
+        'identifier', 'class', 'space'
+      ])
+      expect(exited[exited.length - 1]).to.equal('rule')
+      expect(entered).to.have.length($('rule').first().find('*').length())
+    })
+    it('calls visitors keyed by type', () => {
+      const { $ } = getAST(scss)
+      const visited = []
+      $().walk({
+        variable: (n) => visited.push(`enter ${$(n).value()}`),
+        interpolation: {
+          enter: () => visited.push('enter interpolation'),
+          exit: () => visited.push('exit interpolation')
+        }
+      })
+      expect(visited).to.deep.equal([
+        'enter _r', 'enter interpolation', 'enter _g', 'exit interpolation'
+      ])
+    })
+    it('skips children', () => {
+      const { $ } = getAST(scss)
+      const visited = []
+      $().walk({
+        enter: (n, ctl) => {
+          if (n.node.type === 'block') ctl.skip()
+        },
+        variable: (n) => visited.push(n)
+      })
+      expect(visited).to.have.length(0)
+    })
+    it('stops the walk', () => {
+      const { $ } = getAST(scss)
+      const visited = []
+      $().walk({
+        variable: (n, ctl) => {
+          visited.push($(n).value())
+          ctl.stop()
+        },
+        exit: (n) => visited.push(n.node.type)
+      })
+      expect(visited[visited.length - 1]).to.equal('_r')
+      expect(visited).to.not.include('variable')
+    })
+    it('removes nodes', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const visited = []
+      $().walk({
+        enter: (n, ctl) => {
+          if (n.node.type === 'space') ctl.remove()
+        },
+        number: (n) => visited.push($(n).value()),
+        exit: (n) => {
+          expect(n.node.type).to.not.equal('space')
+        }
+      })
+      expect(visited).to.deep.equal(['1', '2', '3'])
+      expect($('space').length()).to.equal(0)
+      expect($('value').value()).to.equal('1px2px3px')
+    })
+    it('replaces nodes', () => {
+      const { $ } = getAST(scss)
+      const exited = []
+      $().walk({
+        interpolation: (n, ctl) => {
+          ctl.replace({
+            type: 'interpolation',
+            value: [{ type: 'variable', value: '_b' }]
+          })
+        },
+        variable: (n) => exited.push($(n).value())
+      })
+      expect(exited).to.deep.equal(['_r', '_b'])
+      expect($('variable').value()).to.equal('_r_b')
+    })
+    it('picks up changes to the children', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      const visited = []
+      $().walk({
+        number: (n) => {
+          visited.push($(n).value())
+          if ($(n).value() === '1') {
+            $(n).before({ type: 'number', value: '0' })
+            $(n).after({ type: 'number', value: '1.5' })
+          }
+        }
+      })
+      expect(visited).to.deep.equal(['1', '1.5', '2'])
+    })
+    it('does not visit nodes replaced or removed without the controller', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const visited = []
+      $().walk({
+        number: (n) => {
+          visited.push($(n).value())
+          if ($(n).value() === '2') $(n).remove()
+          else $(n).replaceWith({ type: 'number', value: $(n).value() })
+        }
+      })
+      expect(visited).to.deep.equal(['1', '2', '3'])
+      expect($('number').value()).to.equal('13')
+    })
+    it('throws an error when replacing the root node', () => {
+      const { $ } = getAST(scss)
+      expect(() => {
+        $().walk({ stylesheet: (n, ctl) => ctl.replace({}) })
+      }).to.throw(/root/)
+    })
+  })
   describe('#concat', () => {
     it('works', () => {
       const { $ } = getAST(`
@@ -185,6 +1752,143 @@ describe('$', () => {
       const numbersB = $('number').eq(1)
       expect(numbersA.concat(numbersB).value()).to.deep.equal('12')
     })
+    it('removes duplicates', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      expect($('number').concat($('number').eq(1)).value()).to.equal('123')
+    })
+  })
+  describe('#add', () => {
+    const scss = `
+      $border: 1px 2px 3px;
+    `
+    it('adds nodes without duplicates in document order', () => {
+      const { $ } = getAST(scss)
+      const $numbers = $('number').eq(2).add($('number').slice(0, 2).nodes)
+      expect($numbers.value()).to.equal('123')
+      expect($numbers.add($('number')).length()).to.equal(3)
+      expect($numbers.add($('number').nodes[0]).length()).to.equal(3)
+    })
+    it('adds the nodes matched by a selector', () => {
+      const { $ } = getAST(scss)
+      expect($('variable').add('number').map((n) => n.node.type))
+        .to.deep.equal(['variable', 'number', 'number', 'number'])
+    })
+  })
+  describe('#not', () => {
+    const scss = `
+      $border: 1px 2px 3px;
+    `
+    it('removes the nodes that match a selector', () => {
+      const { $ } = getAST(scss)
+      expect($('value').children().not('space').value()).to.equal('1px2px3px')
+      expect($('number').not((n) => n.node.value === '2').value()).to.equal('13')
+    })
+    it('removes the target nodes', () => {
+      const { $ } = getAST(scss)
+      expect($('number').not($('number').first()).value()).to.equal('23')
+      expect($('number').not($('number').nodes[2]).value()).to.equal('12')
+      expect($('number').not().length()).to.equal(3)
+    })
+  })
+  describe('#is', () => {
+    it('returns true if a node matches a selector or is a target node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect($('value').children().is('number')).to.equal(true)
+      expect($('value').children().is('variable')).to.equal(false)
+      expect($('number').is($('number').last())).to.equal(true)
+      expect($('number').is($('identifier'))).to.equal(false)
+      expect($('number').is()).to.equal(false)
+      expect($('nothing').is('*')).to.equal(false)
+    })
+  })
+  describe('#intersect', () => {
+    it('keeps the nodes that are in both sets', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const $a = $('number').slice(0, 2)
+      const $b = $('number').slice(1)
+      expect($a.intersect($b).value()).to.equal('2')
+      expect($a.intersect('number').value()).to.equal('12')
+    })
+  })
+  describe('#difference', () => {
+    it('keeps the nodes that are not in the other set', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const $a = $('number').slice(0, 2)
+      const $b = $('number').slice(1)
+      expect($a.difference($b).value()).to.equal('1')
+      expect($b.difference($a).value()).to.equal('3')
+    })
+  })
+  describe('#slice', () => {
+    it('reduces the set to a range', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      expect($('number').slice(1).value()).to.equal('23')
+      expect($('number').slice(0, -1).value()).to.equal('12')
+      expect($('number').slice(-1).value()).to.equal('3')
+      expect($('number').slice(5).length()).to.equal(0)
+    })
+  })
+  describe('#each', () => {
+    it('calls a function for each node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const $numbers = $('number')
+      const calls = []
+      expect($numbers.each((n, i) => { calls.push([n, i]) })).to.equal($numbers)
+      expect(calls).to.deep.equal($numbers.nodes.map((n, i) => [n, i]))
+    })
+    it('stops when the function returns false', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px 3px;
+      `)
+      const values = []
+      $('number').each((n) => {
+        values.push(n.node.value)
+        return n.node.value !== '2'
+      })
+      expect(values).to.deep.equal(['1', '2'])
+    })
+  })
+  describe('#some', () => {
+    it('returns true if a node matches', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect($('value').children().some('number')).to.equal(true)
+      expect($('value').children().some((n) => n.node.value === '3')).to.equal(false)
+    })
+  })
+  describe('#every', () => {
+    it('returns true if every node matches', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect($('number').every('number')).to.equal(true)
+      expect($('value').children().every('number')).to.equal(false)
+      expect($('nothing').every('number')).to.equal(true)
+    })
+  })
+  describe('#toArray', () => {
+    it('returns a copy of the NodeWrappers', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      const $numbers = $('number')
+      const nodes = $numbers.toArray()
+      expect(nodes).to.deep.equal($numbers.nodes)
+      expect(nodes).not.to.equal($numbers.nodes)
+    })
   })
   describe('#replace', () => {
     it('removes a node', () => {
@@ -407,6 +2111,15 @@ describe('$', () => {
       // a "space" node is the next node
       expect(node.length()).to.equal(0)
     })
+    it('selects the next sibling of each node', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      const $punctuation = $('property').next()
+      expect($punctuation.map((n) => $(n).value())).to.deep.equal([':', ':'])
+      expect($punctuation.nodes).to.deep.equal($('punctuation[value=":"]').nodes)
+    })
   })
   describe('#nextAll', () => {
     it('selects the next sibling for each item in the selection', () => {
@@ -435,6 +2148,33 @@ describe('$', () => {
         .find('class')
       expect(nodes.map((n) => $(n).value())).to.deep.equal(['g', 'b'])
     })
+    it('selects the following siblings of each node without duplicates', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+        .b { color: $_b; }
+      `)
+      const classNames = $('rule')
+        .nextAll('rule')
+        .find('class')
+        .value()
+      expect(classNames).to.equal('gb')
+      const $values = $('property').nextAll('value')
+      expect($values.nodes).to.deep.equal($('value').nodes)
+    })
+  })
+  describe('#nextUntil', () => {
+    it('selects the following siblings up to a node that matches the selector', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+        .b { color: $_b; }
+      `)
+      const nodes = $('rule').first().nextUntil('rule:nth-of-type(3)')
+      expect(nodes.get().map(getType)).to.deep.equal(['space', 'rule', 'space'])
+      expect($('rule').first().nextUntil().length()).to.equal(5)
+      expect($('property').nextUntil('value').value()).to.equal(':::')
+    })
   })
   describe('#parent', () => {
     it('works', () => {
@@ -465,6 +2205,12 @@ describe('$', () => {
         .get()
       expect(parents.map(getType)).to.deep.equal(['arguments'])
     })
+    it('returns each parent once', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect($('number').parent().map((n) => n.node.type)).to.deep.equal(['value'])
+    })
   })
   describe('#parents', () => {
     it('works', () => {
@@ -476,8 +2222,19 @@ describe('$', () => {
         .parents()
         .get()
       expect(parents.map(getType)).to.deep.equal([
-        'value', 'declaration', 'block', 'rule', 'stylesheet'
+        'stylesheet', 'rule', 'block', 'declaration', 'value'
+      ])
+    })
+    it('returns the ancestors of every node in document order', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      const parents = $('variable').parents('rule, declaration')
+      expect(parents.map((n) => n.node.type)).to.deep.equal([
+        'rule', 'declaration', 'rule', 'declaration'
       ])
+      expect(parents.nodes).to.deep.equal($('rule, declaration').nodes)
     })
     it('optionally filters selection', () => {
       const { $ } = getAST(`
@@ -500,7 +2257,7 @@ describe('$', () => {
         .parentsUntil('rule')
         .get()
       expect(parents.map(getType)).to.deep.equal([
-        'value', 'declaration', 'block'
+        'block', 'declaration', 'value'
       ])
     })
   })
@@ -531,6 +2288,15 @@ describe('$', () => {
       // a "space" node is the prev node
       expect(node.length()).to.equal(0)
     })
+    it('selects the previous sibling of each node', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+      `)
+      const $values = $('declaration').children('punctuation:nth-of-type(1)').prev()
+      expect($values.map((n) => n.node.type)).to.deep.equal(['property', 'property'])
+      expect($values.nodes).to.deep.equal($('property').nodes)
+    })
   })
   describe('#prevAll', () => {
     it('selects the previous sibling for each item in the selection', () => {
@@ -558,10 +2324,120 @@ describe('$', () => {
         .prevAll('rule')
         .find('class')
         .value()
-      expect(classNames).to.deep.equal('gr')
+      expect(classNames).to.deep.equal('rg')
+    })
+    it('selects the previous siblings of each node in document order', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+        .b { color: $_b; }
+      `)
+      const classNames = $($('rule').nodes.slice(1))
+        .prevAll('rule')
+        .find('class')
+        .value()
+      expect(classNames).to.equal('rg')
+    })
+  })
+  describe('#prevUntil', () => {
+    it('selects the previous siblings up to a node that matches the selector', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+        .b { color: $_b; }
+      `)
+      const nodes = $('rule').last().prevUntil('rule:nth-of-type(1)')
+      expect(nodes.get().map(getType)).to.deep.equal(['space', 'rule', 'space'])
+      expect($('rule').last().prevUntil().length()).to.equal(5)
+    })
+  })
+  describe('#siblings', () => {
+    it('selects the siblings of each node in document order', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: $_g; }
+        .b { color: $_b; }
+      `)
+      expect($('rule').eq(1).siblings('rule').find('class').value()).to.equal('rb')
+      expect($('rule').siblings('rule').find('class').value()).to.equal('rgb')
+      expect($('rule').eq(1).siblings().length()).to.equal(6)
+      expect($().siblings().length()).to.equal(0)
+    })
+  })
+  describe('#attr', () => {
+    it('returns an attribute of the first node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      expect($('number').attr('value')).to.equal('1')
+      expect($('nothing').attr('value')).to.equal(undefined)
+    })
+    it('sets an attribute of each node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      const original = $('number').nodes[0].node
+      $('number').attr('unit', 'px')
+      expect($('number[unit=px]').length()).to.equal(2)
+      expect($('number').get().map((n) => n.unit)).to.deep.equal(['px', 'px'])
+      expect(original).to.not.have.property('unit')
+    })
+    it('replaces the children when the key holding them is set', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      const $value = $('value')
+      $value.attr('value', [{ type: 'number', value: '3' }])
+      expect($value.children().map((n) => n.node.value)).to.deep.equal(['3'])
+      expect($('number').value()).to.equal('3')
+      expect($value.get(0).value).to.deep.equal([{ type: 'number', value: '3' }])
+      expect($.toPatch().map((op) => op.op)).to.deep.equal(['replace'])
+      $.undo()
+      expect($('number').value()).to.equal('12')
+    })
+    it('uses options.setAttribute', () => {
+      const $ = createQuery({ type: 'root', value: [{ type: 'a', value: 'a' }] }, {
+        setAttribute: (node, key, value) =>
+          Object.assign({}, node, { [key]: value.toUpperCase() })
+      })
+      $('a').attr('name', 'b')
+      expect($('a').attr('name')).to.equal('B')
+    })
+  })
+  describe('#removeAttr', () => {
+    it('removes an attribute of each node', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      $('number').removeAttr('start')
+      expect($('number[start]').length()).to.equal(0)
+      expect($('number').get(0)).to.not.have.property('start')
+      expect($('identifier[start]').length()).to.equal(2)
     })
   })
   describe('#value', () => {
+    it('sets the value of each node without children', () => {
+      const { $ } = getAST(`
+        $border: 1px 2px;
+      `)
+      const original = $('number').nodes[0].node
+      $('number').value('0')
+      $('value').value('ignored')
+      expect($('value').value()).to.equal(' 0px 0px')
+      expect($('number').get(0).value).to.equal('0')
+      expect(original.value).to.equal('1')
+    })
+    it('uses options.setValue', () => {
+      const $ = createQuery({ type: 'root', value: [{ type: 'a', text: 'a' }] }, {
+        hasChildren: (node) => node.type === 'root',
+        toString: (node) => node.text || '',
+        setValue: (node, text) => Object.assign({}, node, { text })
+      })
+      $('a').value('b')
+      expect($().value()).to.equal('b')
+      expect($('a').get(0)).to.deep.include({ type: 'a', text: 'b' })
+    })
+
     it('reduces all nodes with a string value', () => {
       const { $ } = getAST(`
         .r { .g { .b {} } }
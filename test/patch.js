@@ -0,0 +1,101 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+/* global describe, it */
+
+'use strict'
+
+const { expect } = require('chai')
+
+const {
+  align,
+  applyOperation,
+  createDocument,
+  diffJSON,
+  formatPointer,
+  parsePointer
+} = require('../lib/patch')
+
+describe('patch', () => {
+  describe('#formatPointer', () => {
+    it('escapes reference tokens', () => {
+      expect(formatPointer(['a/b', 'c~d', 0])).to.equal('/a~1b/c~0d/0')
+      expect(formatPointer([])).to.equal('')
+    })
+  })
+  describe('#parsePointer', () => {
+    it('unescapes reference tokens', () => {
+      expect(parsePointer('/a~1b/c~0d/0')).to.deep.equal(['a/b', 'c~d', '0'])
+      expect(parsePointer('')).to.deep.equal([])
+    })
+    it('throws an error for an invalid pointer', () => {
+      expect(() => parsePointer('a/b')).to.throw(/Invalid JSON Pointer/)
+    })
+  })
+  describe('#diffJSON', () => {
+    it('returns the operations that turn a value into another', () => {
+      const a = { a: 1, b: { c: [1, 2] }, d: true }
+      const b = { a: 2, b: { c: [1, 3] }, e: null }
+      expect(diffJSON(a, b)).to.deep.equal([
+        { op: 'remove', path: '/d' },
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'replace', path: '/b/c/1', value: 3 },
+        { op: 'add', path: '/e', value: null }
+      ])
+    })
+    it('replaces arrays with a different length', () => {
+      expect(diffJSON([1], [1, 2], ['x'])).to.deep.equal([
+        { op: 'replace', path: '/x', value: [1, 2] }
+      ])
+    })
+  })
+  describe('#align', () => {
+    it('aligns two sequences', () => {
+      const isMatch = (a, b) => a === b
+      expect(align(['a', 'b', 'c'], ['a', 'x', 'c', 'd'], isMatch)).to.deep.equal([
+        ['match', 0, 0],
+        ['remove', 1],
+        ['add', 1],
+        ['match', 2, 2],
+        ['add', 3]
+      ])
+    })
+  })
+  describe('#applyOperation', () => {
+    const apply = (value, ops) => {
+      const document = createDocument(value)
+      ops.forEach(op => applyOperation(op, document))
+      return document.value
+    }
+    it('applies operations', () => {
+      const value = { a: [1, 2], b: { c: 1 } }
+      expect(apply(value, [
+        { op: 'add', path: '/a/-', value: 3 },
+        { op: 'remove', path: '/a/0' },
+        { op: 'replace', path: '/b/c', value: 2 },
+        { op: 'move', from: '/b', path: '/d' },
+        { op: 'copy', from: '/a', path: '/e' },
+        { op: 'test', path: '/e', value: [2, 3] }
+      ])).to.deep.equal({ a: [2, 3], d: { c: 2 }, e: [2, 3] })
+      expect(value).to.deep.equal({ a: [1, 2], b: { c: 1 } })
+    })
+    it('throws an error if a test fails', () => {
+      expect(() => {
+        apply({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }])
+      }).to.throw(/Test of "\/a" failed/)
+    })
+    it('throws an error if a location does not exist', () => {
+      expect(() => {
+        apply({ a: 1 }, [{ op: 'remove', path: '/b' }])
+      }).to.throw(/does not exist/)
+      expect(() => {
+        apply({ a: [] }, [{ op: 'replace', path: '/a/0', value: 1 }])
+      }).to.throw(/out of bounds/)
+    })
+    it('throws an error for an unknown operation', () => {
+      expect(() => {
+        apply({}, [{ op: 'merge', path: '' }])
+      }).to.throw(/Unknown JSON Patch operation "merge"/)
+    })
+  })
+})
@@ -0,0 +1,255 @@
+// Copyright (c) 2016-present, salesforce.com, inc. All rights reserved
+// Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license
+
+/* global describe, it */
+
+'use strict'
+
+const { expect } = require('chai')
+
+const { parse } = require('../lib/selector')
+const { getAST } = require('./helpers')
+
+const getType = (n) => n.type
+const getValue = (n) => n.value
+
+describe('selectors', () => {
+  describe('#parse', () => {
+    it('parses a type', () => {
+      expect(parse('rule')).to.deep.equal([
+        [{ combinator: null, type: 'rule', attributes: [], pseudos: [] }]
+      ])
+    })
+    it('parses combinators', () => {
+      const steps = parse('a b>c + d~ *')[0]
+      expect(steps.map((s) => s.combinator)).to.deep.equal([
+        null, ' ', '>', '+', '~'
+      ])
+      expect(steps.map((s) => s.type)).to.deep.equal([
+        'a', 'b', 'c', 'd', null
+      ])
+    })
+    it('parses a selector list', () => {
+      expect(parse(' a , b ')).to.have.length(2)
+    })
+    it('parses escaped characters', () => {
+      expect(parse('a\\>b')[0][0].type).to.equal('a>b')
+    })
+    it('parses pseudo-classes', () => {
+      const [step] = parse(':nth-child( 2n + 1 ):not(a, b > c)')[0]
+      expect(step.type).to.equal(null)
+      expect(step.pseudos.map((p) => p.name)).to.deep.equal([
+        'nth-child', 'not'
+      ])
+      expect(step.pseudos[0].argument).to.deep.equal({ a: 2, b: 1 })
+      expect(step.pseudos[1].argument).to.have.length(2)
+    })
+    it('parses attributes', () => {
+      const [step] = parse('[a][ b = "c]" ][d^=e][f=/g/i]')[0]
+      expect(step.attributes.map((a) => [a.name, a.operator])).to.deep.equal([
+        ['a', null], ['b', '='], ['d', '^='], ['f', '=']
+      ])
+      expect(step.attributes[1].value).to.equal('c]')
+      expect(step.attributes[2].value).to.equal('e')
+      expect(step.attributes[3].value).to.deep.equal(/g/i)
+    })
+    it('parses relative selectors in :has()', () => {
+      const [step] = parse('a:has(> b, c)')[0]
+      const list = step.pseudos[0].argument
+      expect(list.map((steps) => steps[0].combinator)).to.deep.equal([
+        '>', ' '
+      ])
+    })
+    it('throws an error for an invalid selector', () => {
+      expect(() => parse('a >')).to.throw(/Invalid selector/)
+      expect(() => parse('a,')).to.throw(/Invalid selector/)
+      expect(() => parse('> a')).to.throw(/Invalid selector/)
+      expect(() => parse('a:nope')).to.throw(/unknown pseudo-class/)
+      expect(() => parse('a:nth-child(x)')).to.throw(/invalid argument/)
+      expect(() => parse('a:not(b')).to.throw(/Invalid selector/)
+      expect(() => parse('a)')).to.throw(/Invalid selector/)
+      expect(() => parse('a[b')).to.throw(/Invalid selector/)
+      expect(() => parse('a[b~=c]')).to.throw(/Invalid selector/)
+      expect(() => parse('a[b="c]')).to.throw(/Invalid selector/)
+      expect(() => parse('a[b=/(/]')).to.throw(/invalid regular expression/)
+    })
+  })
+  describe('combinators', () => {
+    it('matches descendants', () => {
+      const { $ } = getAST(`
+        $hello: world;
+        .b { color: $_b; }
+      `)
+      expect($('rule variable').get().map(getValue)).to.deep.equal(['_b'])
+    })
+    it('matches children', () => {
+      const { $ } = getAST(`
+        .b { color: $_b; }
+      `)
+      expect($('rule > variable').length()).to.equal(0)
+      expect($('value > variable').get().map(getValue)).to.deep.equal(['_b'])
+    })
+    it('matches adjacent siblings', () => {
+      const { $ } = getAST(`
+        $border: 1px solid;
+      `)
+      expect($('number + identifier').get().map(getValue)).to.deep.equal(['px'])
+    })
+    it('matches general siblings', () => {
+      const { $ } = getAST(`
+        $border: 1px solid;
+      `)
+      expect($('number ~ identifier').get().map(getValue)).to.deep.equal([
+        'px', 'solid'
+      ])
+    })
+    it('matches any type', () => {
+      const { $ } = getAST(`
+        .b { color: $_b; }
+      `)
+      expect($('declaration > *').get().map(getType)).to.deep.equal([
+        'property', 'punctuation', 'value', 'punctuation'
+      ])
+    })
+    it('matches a selector list', () => {
+      const { $ } = getAST(`
+        .b { color: $_b; }
+      `)
+      const nodes = $('class, variable')
+      expect(nodes.get().map(getType)).to.deep.equal(['class', 'variable'])
+      expect(nodes.value()).to.equal('b_b')
+    })
+    it('works with traversal methods', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: #{$_g}; }
+      `)
+      const rules = $('rule')
+        .has('value > interpolation variable')
+        .find('selector class')
+      expect(rules.value()).to.equal('g')
+      const closest = $('variable').closest('rule > block')
+      expect(closest.length()).to.equal(2)
+      expect($('variable').filter('interpolation > *').value()).to.equal('_g')
+    })
+  })
+  describe('pseudo-classes', () => {
+    // value: [space, number, identifier, space, number, identifier, ...]
+    const scss = `
+      $border: 1px 2px 3px 4px;
+    `
+    const values = ($, selector) => $(selector).map((n) => $(n).value())
+    it(':first-child and :last-child', () => {
+      const { $ } = getAST(scss)
+      expect($('value > :first-child').get().map(getType)).to.deep.equal([
+        'space'
+      ])
+      expect($('value > :last-child').value()).to.equal('px')
+    })
+    it(':only-child', () => {
+      const { $ } = getAST(scss)
+      expect($('property > :only-child').value()).to.equal('border')
+      expect($('value > :only-child').length()).to.equal(0)
+    })
+    it(':nth-child(an+b)', () => {
+      const { $ } = getAST(scss)
+      expect(values($, 'value > :nth-child(2)')).to.deep.equal(['1'])
+      expect(values($, 'value > :nth-child(6n+2)')).to.deep.equal(['1', '3'])
+      expect(values($, 'value > :nth-child(-n+3)')).to.deep.equal([
+        ' ', '1', 'px'
+      ])
+      expect($('value > :nth-child(odd)').length()).to.equal(6)
+      expect($('value > :nth-child(even)').length()).to.equal(6)
+    })
+    it(':nth-of-type(an+b)', () => {
+      const { $ } = getAST(scss)
+      expect(values($, 'number:nth-of-type(even)')).to.deep.equal(['2', '4'])
+      expect(values($, 'number:nth-of-type(3)')).to.deep.equal(['3'])
+    })
+    it(':empty', () => {
+      const { $ } = getAST(`
+        .a { color: red; }
+        .b {}
+      `)
+      expect($('rule:has(block:empty) class').value()).to.equal('b')
+    })
+    it(':root', () => {
+      const { $ } = getAST(scss)
+      expect($(':root').get().map(getType)).to.deep.equal(['stylesheet'])
+      expect($('number').closest(':root').length()).to.equal(1)
+    })
+    it(':not()', () => {
+      const { $ } = getAST(scss)
+      expect($('value > :not(space, identifier)').value()).to.equal('1234')
+    })
+    it(':is()', () => {
+      const { $ } = getAST(`
+        .a { color: $a; }
+        @mixin b ($b) {}
+      `)
+      expect($(':is(block, arguments) variable').value()).to.equal('ab')
+    })
+    it(':has()', () => {
+      const { $ } = getAST(`
+        .r { color: $_r; }
+        .g { color: #{$_g}; }
+        .b { color: $_b; }
+      `)
+      expect($('rule:has(interpolation) class').value()).to.equal('g')
+      expect($('rule:not(:has(interpolation)) class').value()).to.equal('rb')
+      expect($('declaration:has(> value) > property').length()).to.equal(3)
+      expect($('property:has(+ punctuation)').length()).to.equal(3)
+      expect($('property:has(~ value interpolation)').length()).to.equal(1)
+    })
+  })
+  describe('attributes', () => {
+    const scss = `
+      $primary-color: red;
+      .a { color: $primary-color; background: $secondary-color; }
+    `
+    const values = ($, selector) => $(selector).map((n) => $(n).value())
+    it('matches the presence of an attribute', () => {
+      const { $ } = getAST(scss)
+      expect($('[value]').length()).to.equal($('*').length())
+      expect($('[unknown]').length()).to.equal(0)
+    })
+    it('matches an attribute value', () => {
+      const { $ } = getAST(scss)
+      expect(values($, 'variable[value="primary-color"]')).to.deep.equal([
+        'primary-color', 'primary-color'
+      ])
+      expect(values($, 'variable[value=primary-color]')).to.have.length(2)
+      expect(values($, 'block variable[value^=sec]')).to.deep.equal([
+        'secondary-color'
+      ])
+      expect(values($, 'variable[value$="-color"]')).to.have.length(3)
+      expect(values($, 'identifier[value*=o]')).to.deep.equal([
+        'color', 'background'
+      ])
+      expect(values($, '[value=/^(primary|secondary)-/]')).to.have.length(3)
+    })
+    it('ignores the g and y flags of regular expressions', () => {
+      const { $ } = getAST(scss)
+      expect(values($, 'variable[value=/color/g]')).to.have.length(3)
+      expect(values($, 'variable[value=/color/g]')).to.have.length(3)
+      expect(values($, 'variable[value=/^primary/y]')).to.have.length(2)
+    })
+    it('ignores attributes that are not a string, number or boolean', () => {
+      const { $ } = getAST(scss)
+      expect($('rule[value*=object]').length()).to.equal(0)
+    })
+    it('uses options.getAttribute', () => {
+      const createQuery = require('../lib')
+      const $ = createQuery({
+        type: 'root',
+        value: [
+          { type: 'item', value: 'a', meta: { id: 1 } },
+          { type: 'item', value: 'b', meta: { id: 2 } }
+        ]
+      }, {
+        getAttribute: (node, key) => node.meta && node.meta[key]
+      })
+      expect($('item[id=2]').value()).to.equal('b')
+    })
+  })
+})